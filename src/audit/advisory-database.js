@@ -0,0 +1,192 @@
+/**
+ * Advisory Database for Frontend Auditor Agent
+ * Loads a locally exported vulnerability database (npm audit JSON or OSV)
+ * so lockfiles can be checked without network access
+ */
+
+import { readFile } from 'fs/promises';
+import semver from 'semver';
+import { SEVERITY_LEVELS } from '../config/mcp-config.js';
+
+export class AdvisoryDatabase {
+  constructor(advisories = []) {
+    this.advisoriesByPackage = new Map();
+    advisories.forEach(advisory => {
+      const list = this.advisoriesByPackage.get(advisory.package) || [];
+      list.push(advisory);
+      this.advisoriesByPackage.set(advisory.package, list);
+    });
+  }
+
+  /**
+   * Load an advisory export from disk
+   */
+  static async load(filePath) {
+    let data;
+    try {
+      data = JSON.parse(await readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read advisory database ${filePath}: ${error.message}`);
+    }
+    return AdvisoryDatabase.fromJSON(data);
+  }
+
+  /**
+   * Build a database from any supported export format
+   *
+   * Supported: `npm audit --json` (npm 7+ and the legacy npm 6 format),
+   * OSV entries (single entry, array, `{ vulns }`) and osv-scanner output.
+   */
+  static fromJSON(data) {
+    if (data?.vulnerabilities && !Array.isArray(data.vulnerabilities)) {
+      return new AdvisoryDatabase(normalizeNpmAudit(data.vulnerabilities));
+    }
+    if (data?.advisories) {
+      return new AdvisoryDatabase(normalizeLegacyNpmAudit(data.advisories));
+    }
+    if (Array.isArray(data?.results)) {
+      const entries = data.results.flatMap(result =>
+        (result.packages || []).flatMap(pkg => pkg.vulnerabilities || [])
+      );
+      return new AdvisoryDatabase(entries.flatMap(normalizeOSV));
+    }
+    if (Array.isArray(data?.vulns)) {
+      return new AdvisoryDatabase(data.vulns.flatMap(normalizeOSV));
+    }
+    if (Array.isArray(data)) {
+      return new AdvisoryDatabase(data.flatMap(normalizeOSV));
+    }
+    if (data?.affected) {
+      return new AdvisoryDatabase(normalizeOSV(data));
+    }
+
+    throw new Error('Unrecognized advisory database format (expected npm audit JSON or OSV)');
+  }
+
+  get size() {
+    let count = 0;
+    this.advisoriesByPackage.forEach(list => { count += list.length; });
+    return count;
+  }
+
+  /**
+   * Advisories affecting an installed package version
+   */
+  match(name, version) {
+    const advisories = this.advisoriesByPackage.get(name);
+    if (!advisories || !semver.valid(version)) return [];
+
+    return advisories.filter(advisory =>
+      semver.satisfies(version, advisory.vulnerableRange, { includePrerelease: true })
+    );
+  }
+}
+
+/**
+ * npm 7+: `{ vulnerabilities: { [name]: { via: [advisory | name] } } }`
+ */
+function normalizeNpmAudit(vulnerabilities) {
+  const advisories = [];
+
+  for (const vulnerability of Object.values(vulnerabilities)) {
+    for (const via of vulnerability.via || []) {
+      // String entries only point at another vulnerable package
+      if (typeof via !== 'object' || !via.range) continue;
+
+      advisories.push({
+        id: String(via.source ?? via.url ?? `${via.name}@${via.range}`),
+        package: via.name || vulnerability.name,
+        title: via.title || 'Known vulnerability',
+        severity: mapSeverity(via.severity),
+        url: via.url,
+        vulnerableRange: via.range,
+        patched: null
+      });
+    }
+  }
+
+  return advisories;
+}
+
+/**
+ * npm 6: `{ advisories: { [id]: { module_name, vulnerable_versions } } }`
+ */
+function normalizeLegacyNpmAudit(advisories) {
+  return Object.values(advisories).map(advisory => ({
+    id: String(advisory.id),
+    package: advisory.module_name,
+    title: advisory.title || 'Known vulnerability',
+    severity: mapSeverity(advisory.severity),
+    url: advisory.url,
+    vulnerableRange: advisory.vulnerable_versions,
+    patched: advisory.patched_versions || null
+  }));
+}
+
+/**
+ * OSV schema: one advisory per affected npm package
+ */
+function normalizeOSV(entry) {
+  return (entry.affected || [])
+    .filter(affected => !affected.package?.ecosystem || affected.package.ecosystem === 'npm')
+    .map(affected => {
+      const { range, fixed } = osvAffectedToRange(affected);
+      return {
+        id: entry.id,
+        package: affected.package.name,
+        title: entry.summary || entry.details?.split('\n')[0] || 'Known vulnerability',
+        severity: mapSeverity(entry.database_specific?.severity || affected.database_specific?.severity),
+        url: entry.references?.find(ref => ref.type === 'ADVISORY')?.url || entry.references?.[0]?.url,
+        vulnerableRange: range,
+        patched: fixed.length > 0 ? fixed.map(version => `>=${version}`).join(' || ') : null
+      };
+    })
+    .filter(advisory => advisory.vulnerableRange);
+}
+
+/**
+ * Turn OSV `ranges[].events` and explicit `versions` into a semver range
+ */
+function osvAffectedToRange(affected) {
+  const segments = [];
+  const fixed = [];
+
+  for (const range of affected.ranges || []) {
+    if (range.type !== 'SEMVER' && range.type !== 'ECOSYSTEM') continue;
+
+    let introduced = null;
+    for (const event of range.events || []) {
+      if (event.introduced !== undefined) {
+        introduced = event.introduced;
+      } else if (introduced !== null && (event.fixed || event.last_affected)) {
+        const lower = introduced === '0' ? '' : `>=${introduced} `;
+        const upper = event.fixed ? `<${event.fixed}` : `<=${event.last_affected}`;
+        segments.push(`${lower}${upper}`);
+        if (event.fixed) fixed.push(event.fixed);
+        introduced = null;
+      }
+    }
+
+    // Still affected with no upper bound
+    if (introduced !== null) {
+      segments.push(introduced === '0' ? '*' : `>=${introduced}`);
+    }
+  }
+
+  (affected.versions || []).forEach(version => segments.push(version));
+
+  return { range: segments.join(' || '), fixed };
+}
+
+function mapSeverity(severity) {
+  switch (String(severity || '').toLowerCase()) {
+    case 'critical': return SEVERITY_LEVELS.CRITICAL;
+    case 'high': return SEVERITY_LEVELS.HIGH;
+    case 'moderate':
+    case 'medium': return SEVERITY_LEVELS.MEDIUM;
+    // Audit issues are counted from low up, so informational advisories report as low
+    case 'low':
+    case 'info': return SEVERITY_LEVELS.LOW;
+    default: return SEVERITY_LEVELS.MEDIUM;
+  }
+}
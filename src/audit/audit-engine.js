@@ -3,23 +3,115 @@
  * Compares target repository against boilerplate and common config standards
  */
 
-import { AUDIT_CATEGORIES, SEVERITY_LEVELS } from '../config/mcp-config.js';
+import { posix } from 'path';
+import { MCP_CONFIG, AUDIT_CATEGORIES, SEVERITY_LEVELS } from '../config/mcp-config.js';
+import {
+  detectPackageManager,
+  findConflictingLockfiles,
+  findDuplicateVersions,
+  findLockfileDrift,
+  findNonRegistrySources,
+  configuredRegistryHosts
+} from './lockfile-analysis.js';
+import { scanForSecrets } from './secret-scanner.js';
+import { RuleRegistry } from './rule-registry.js';
+import { AutoFixer } from '../fixes/auto-fixer.js';
+import { baselineKey } from './baseline.js';
+import {
+  parseWorkspaceManifests,
+  findVersionMismatches,
+  findNonWorkspaceReferences,
+  findReactMismatches,
+  findDuplicateDeclarations
+} from './workspace-dependencies.js';
+import { DependencyPolicy } from './dependency-policy.js';
+import {
+  diffScripts,
+  diffTurboPipelines,
+  diffTsconfig,
+  diffBabelPresets,
+  diffJestConfig,
+  parseJSONC,
+  renderValueDiff,
+  formatPath
+} from './boilerplate-diff.js';
+
+// Boilerplate scripts that already have a dedicated rule when missing
+const SCRIPTS_WITH_DEDICATED_RULES = ['test', 'test:ci'];
+
+// Package managers whose workspaces link internal packages with workspace:
+const WORKSPACE_PROTOCOL_MANAGERS = ['pnpm', 'yarn', 'bun'];
 
 export class AuditEngine {
-  constructor(githubClient) {
-    this.githubClient = githubClient;
+  /**
+   * @param {RepositorySource} source - Where repositories are read from (GitHub, local disk, ...)
+   * @param {Object} [options]
+   * @param {AdvisoryDatabase} [options.advisoryDatabase] - Local advisory export to check lockfiles against
+   * @param {RuleRegistry} [options.rules] - Rule registry (defaults to the built-in rules with `config.rules` overrides)
+   * @param {DependencyPolicy} [options.dependencyPolicy] - Version policy (defaults to `config.dependencyPolicy.path`, else the common config's policy file)
+   */
+  constructor(source, options = {}) {
+    this.source = source;
+    this.config = source.config || MCP_CONFIG;
+    this.advisoryDatabase = options.advisoryDatabase || null;
+    this.rules = options.rules || new RuleRegistry(undefined, this.config.rules);
+    this.dependencyPolicy = options.dependencyPolicy || null;
     this.auditResults = [];
   }
 
   /**
    * Main audit function
+   *
+   * @param {Object} [options]
+   * @param {string} [options.ref] - Branch, tag or commit SHA of the target to audit
    */
-  async auditRepository(owner, repo) {
+  async auditRepository(owner, repo, options = {}) {
     console.log(`Starting audit for ${owner}/${repo}...`);
-    
+
+    try {
+      // One resolution scope per audit: the target, boilerplate and common
+      // config are each read at a single commit, resolved afresh every audit
+      return await this.source.inResolutionScope(async () => {
+        const auditData = await this.fetchAuditData(owner, repo, options);
+        return this.runAudit(auditData);
+      });
+    } catch (error) {
+      console.error('Error during audit:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch everything an audit compares: target, boilerplate and common config
+   */
+  async fetchAuditData(owner, repo, options = {}) {
+    // Fetch target repository data
+    const targetData = await this.source.getRepositoryDataChunked(owner, repo, { ref: options.ref });
+
+    // Fetch boilerplate template for comparison
+    const boilerplateData = await this.source.getBoilerplateTemplate();
+
+    // Fetch common config standards
+    const commonConfigData = await this.source.getCommonConfig();
+
+    return { targetData, boilerplateData, commonConfigData };
+  }
+
+  /**
+   * Run every audit check over already fetched data
+   */
+  async runAudit({ targetData, boilerplateData, commonConfigData }) {
+    const { owner, repo, ref, sha, rateLimit } = targetData.metadata;
+
     const auditReport = {
-      repository: { owner, repo },
+      repository: { owner, repo, ref, sha },
       timestamp: new Date().toISOString(),
+      // API quota left after fetching, for sources that have one
+      ...(rateLimit && { rateLimit }),
+      // Files that exist but were too large or binary; checks do not treat them as missing
+      unanalyzedFiles: targetData.unanalyzedFiles || [],
+      // Rules turned off by the rule overrides, so reports can tell them from passing rules
+      disabledRules: this.rules.list().filter(rule => !rule.enabled).map(rule => rule.id),
       summary: {
         totalIssues: 0,
         criticalIssues: 0,
@@ -32,34 +124,29 @@ export class AuditEngine {
       recommendations: []
     };
 
-    try {
-      // Fetch target repository data
-      const targetData = await this.githubClient.getRepositoryDataChunked(owner, repo);
-      
-      // Fetch boilerplate template for comparison
-      const boilerplateData = await this.githubClient.getBoilerplateTemplate();
-      
-      // Fetch common config standards
-      const commonConfigData = await this.githubClient.getCommonConfig();
-
-      // Run audit checks
-      await this.auditPackageStructure(targetData, boilerplateData, auditReport);
-      await this.auditDependencyManagement(targetData, boilerplateData, auditReport);
-      await this.auditBuildConfiguration(targetData, boilerplateData, auditReport);
-      await this.auditCodeQualitySetup(targetData, commonConfigData, auditReport);
-      await this.auditTestingSetup(targetData, boilerplateData, auditReport);
-      await this.auditDocumentation(targetData, auditReport);
-
-      // Calculate compliance score
-      this.calculateComplianceScore(auditReport);
-
-      console.log(`Audit completed. Found ${auditReport.summary.totalIssues} issues.`);
-      return auditReport;
+    // A configured policy file must load; the common config's policy is optional
+    const dependencyPolicy = await this.resolveDependencyPolicy(commonConfigData);
 
-    } catch (error) {
-      console.error('Error during audit:', error.message);
-      throw error;
-    }
+    // Run audit checks
+    await this.auditPackageStructure(targetData, boilerplateData, auditReport);
+    await this.auditDependencyManagement(targetData, boilerplateData, auditReport, dependencyPolicy);
+    await this.auditWorkspaceDependencies(targetData, auditReport);
+    await this.auditDependencyPolicy(targetData, dependencyPolicy, auditReport);
+    await this.auditLockfiles(targetData, auditReport);
+    await this.auditBuildConfiguration(targetData, boilerplateData, auditReport);
+    await this.auditCodeQualitySetup(targetData, commonConfigData, auditReport);
+    await this.auditTestingSetup(targetData, boilerplateData, auditReport);
+    await this.auditDocumentation(targetData, auditReport);
+    await this.auditSecurity(targetData, auditReport);
+
+    // Flag issues the boilerplate can fix automatically
+    new AutoFixer(targetData, boilerplateData).markFixable(auditReport);
+
+    // Calculate compliance score
+    this.calculateComplianceScore(auditReport);
+
+    console.log(`Audit completed. Found ${auditReport.summary.totalIssues} issues.`);
+    return auditReport;
   }
 
   /**
@@ -74,12 +161,13 @@ export class AuditEngine {
       const boilerplatePackage = boilerplateData.find(f => f.path.includes('package.json'));
 
       if (!rootPackage) {
-        this.addIssue(auditReport, category, {
-          severity: SEVERITY_LEVELS.CRITICAL,
-          message: 'Missing root package.json file',
-          description: 'Every monorepo should have a root package.json file',
-          file: 'package.json'
-        });
+        if (!this.isUnanalyzed(targetData, f => f.path === 'package.json')) {
+          this.reportIssue(auditReport, 'structure/root-package-json', {
+            message: 'Missing root package.json file',
+            description: 'Every monorepo should have a root package.json file',
+            file: 'package.json'
+          });
+        }
         return;
       }
 
@@ -88,8 +176,7 @@ export class AuditEngine {
 
       // Check workspaces configuration
       if (!rootPkg.workspaces) {
-        this.addIssue(auditReport, category, {
-          severity: SEVERITY_LEVELS.HIGH,
+        this.reportIssue(auditReport, 'structure/workspaces', {
           message: 'Missing workspaces configuration',
           description: 'Monorepo should define workspaces in package.json',
           file: 'package.json',
@@ -99,8 +186,7 @@ export class AuditEngine {
 
       // Check package manager configuration
       if (!rootPkg.packageManager) {
-        this.addIssue(auditReport, category, {
-          severity: SEVERITY_LEVELS.MEDIUM,
+        this.reportIssue(auditReport, 'structure/package-manager', {
           message: 'Missing packageManager field',
           description: 'Should specify package manager version for consistency',
           file: 'package.json'
@@ -109,8 +195,7 @@ export class AuditEngine {
 
       // Check engines configuration
       if (!rootPkg.engines) {
-        this.addIssue(auditReport, category, {
-          severity: SEVERITY_LEVELS.MEDIUM,
+        this.reportIssue(auditReport, 'structure/engines', {
           message: 'Missing engines configuration',
           description: 'Should specify Node.js and npm/yarn version requirements',
           file: 'package.json'
@@ -123,14 +208,21 @@ export class AuditEngine {
       const hasPackages = targetData.packageFiles.some(f => f.path.startsWith('packages/'));
 
       if (!hasApps && !hasPackages) {
-        this.addIssue(auditReport, category, {
-          severity: SEVERITY_LEVELS.HIGH,
+        this.reportIssue(auditReport, 'structure/monorepo-layout', {
           message: 'Missing standard monorepo structure',
           description: 'Should have apps/ or packages/ directories',
           file: 'root'
         });
       }
 
+      // Compare scripts with the boilerplate
+      if (boilerplatePackage) {
+        const divergences = diffScripts(boilerplatePkg, rootPkg).filter(divergence =>
+          divergence.kind !== 'missing' || !SCRIPTS_WITH_DEDICATED_RULES.includes(formatPath(divergence.path))
+        );
+        this.reportBoilerplateDivergences(auditReport, 'structure/boilerplate-scripts', 'package.json', 'Script', divergences);
+      }
+
     } catch (error) {
       console.error('Error in package structure audit:', error.message);
     }
@@ -139,7 +231,7 @@ export class AuditEngine {
   /**
    * Audit dependency management
    */
-  async auditDependencyManagement(targetData, boilerplateData, auditReport) {
+  async auditDependencyManagement(targetData, boilerplateData, auditReport, dependencyPolicy = null) {
     const category = AUDIT_CATEGORIES.DEPENDENCIES;
     auditReport.categories[category] = { issues: [], score: 100 };
 
@@ -150,30 +242,29 @@ export class AuditEngine {
       const rootPkg = JSON.parse(rootPackage.content);
 
       // Check for common DTSL dependencies
-      const requiredDeps = [
-        '@dtsl/jest-config',
-        '@dtsl/eslint-config',
-        '@dtsl/prettier-config',
-        '@dtsl/typescript-config'
-      ];
+      const requiredDeps = {
+        '@dtsl/jest-config': 'deps/dtsl-jest-config',
+        '@dtsl/eslint-config': 'deps/dtsl-eslint-config',
+        '@dtsl/prettier-config': 'deps/dtsl-prettier-config',
+        '@dtsl/typescript-config': 'deps/dtsl-typescript-config'
+      };
 
-      const missingDeps = requiredDeps.filter(dep => 
+      const missingDeps = Object.keys(requiredDeps).filter(dep => 
         !rootPkg.devDependencies?.[dep] && !rootPkg.dependencies?.[dep]
       );
 
       missingDeps.forEach(dep => {
-        this.addIssue(auditReport, category, {
-          severity: SEVERITY_LEVELS.MEDIUM,
+        this.reportIssue(auditReport, requiredDeps[dep], {
           message: `Missing DTSL common dependency: ${dep}`,
           description: 'Should use DTSL common configurations for consistency',
-          file: 'package.json'
+          file: 'package.json',
+          dependency: dep
         });
       });
 
-      // Check for outdated dependency patterns
-      if (rootPkg.dependencies?.lodash || rootPkg.devDependencies?.lodash) {
-        this.addIssue(auditReport, category, {
-          severity: SEVERITY_LEVELS.LOW,
+      // Check for outdated dependency patterns (unless a dependency policy covers them)
+      if ((rootPkg.dependencies?.lodash || rootPkg.devDependencies?.lodash) && !dependencyPolicy?.covers('lodash')) {
+        this.reportIssue(auditReport, 'deps/lodash-es', {
           message: 'Consider using lodash-es instead of lodash',
           description: 'lodash-es provides better tree-shaking support',
           file: 'package.json'
@@ -185,6 +276,226 @@ export class AuditEngine {
     }
   }
 
+  /**
+   * Dependency policy for an audit: the one passed to the engine, else the
+   * configured policy file, else the common config's policy file (if any)
+   */
+  async resolveDependencyPolicy(commonConfigData) {
+    if (this.dependencyPolicy) return this.dependencyPolicy;
+
+    const { path, commonConfigFile } = this.config.dependencyPolicy || {};
+    if (path) {
+      this.dependencyPolicy = await DependencyPolicy.load(path);
+      return this.dependencyPolicy;
+    }
+
+    return commonConfigFile ? DependencyPolicy.fromCommonConfig(commonConfigData, commonConfigFile) : null;
+  }
+
+  /**
+   * Audit every workspace manifest against the dependency policy
+   */
+  async auditDependencyPolicy(targetData, dependencyPolicy, auditReport) {
+    if (!dependencyPolicy) return;
+
+    try {
+      const manifests = parseWorkspaceManifests(targetData.packageFiles);
+
+      dependencyPolicy.evaluate(manifests).forEach(violation => {
+        const { path, field, dependency, version, required } = violation;
+        const location = `${field} of ${path}`;
+
+        switch (violation.kind) {
+          case 'min-version':
+            this.reportIssue(auditReport, 'deps/policy-min-version', {
+              message: `${dependency} ${version} is below the required minimum ${required}`,
+              description: `Declared in ${location}`,
+              file: path,
+              dependency,
+              expected: required,
+              actual: version,
+              suggestion: `Upgrade ${dependency} to a range satisfying ${required}`
+            });
+            break;
+          case 'allowed-range':
+            this.reportIssue(auditReport, 'deps/policy-allowed-range', {
+              message: `${dependency} ${version} is outside the allowed range ${required}`,
+              description: `Declared in ${location}`,
+              file: path,
+              dependency,
+              expected: required,
+              actual: version,
+              suggestion: `Use a range within ${required} for ${dependency}`
+            });
+            break;
+          case 'banned':
+            this.reportIssue(auditReport, 'deps/policy-banned', {
+              message: `${dependency} ${version} is banned by the dependency policy`,
+              description: violation.reason ? `${violation.reason} (declared in ${location})` : `Declared in ${location}`,
+              file: path,
+              dependency,
+              actual: version,
+              suggestion: violation.reason || `Remove ${dependency}`
+            });
+            break;
+          case 'replacement':
+            this.reportIssue(auditReport, 'deps/policy-replacement', {
+              message: `Consider using ${violation.replacement} instead of ${dependency}`,
+              description: `Declared in ${location}`,
+              file: path,
+              dependency,
+              expected: violation.replacement,
+              actual: dependency,
+              suggestion: `Replace ${dependency} with ${violation.replacement}`
+            });
+            break;
+        }
+      });
+
+    } catch (error) {
+      console.error('Error in dependency policy audit:', error.message);
+    }
+  }
+
+  /**
+   * Audit lockfiles: present, of one package manager, free of duplicated
+   * heavy packages and in sync with the manifests
+   */
+  async auditLockfiles(targetData, auditReport) {
+    try {
+      const rootPackage = targetData.packageFiles.find(f => f.path === 'package.json');
+      if (!rootPackage) return;
+
+      const rootPkg = JSON.parse(rootPackage.content);
+      const lockfiles = targetData.lockfiles || [];
+
+      if (lockfiles.length === 0) {
+        this.reportIssue(auditReport, 'deps/lockfile-missing', {
+          message: 'No lockfile committed',
+          description: 'Without a lockfile every install may resolve different versions',
+          file: 'package.json',
+          suggestion: `Run ${rootPkg.packageManager?.split('@')[0] || 'your package manager'} install and commit the lockfile`
+        });
+        return;
+      }
+
+      findConflictingLockfiles(lockfiles, rootPkg).forEach(({ path, manager, expected }) => {
+        this.reportIssue(auditReport, 'deps/mixed-package-managers', {
+          message: expected
+            ? `${path} (${manager}) is committed but packageManager is ${rootPkg.packageManager}`
+            : `Lockfiles of several package managers are committed: ${lockfiles.map(lockfile => lockfile.path).join(', ')}`,
+          description: 'Each package manager resolves its own lockfile, so installs differ depending on who runs them',
+          file: path,
+          expected: expected || undefined,
+          actual: manager,
+          suggestion: expected ? `Delete ${path}` : 'Keep the lockfile of the package manager in use and set packageManager in package.json'
+        });
+      });
+
+      const manifests = parseWorkspaceManifests(targetData.packageFiles);
+      for (const lockfile of lockfiles) {
+        if (lockfile.error) {
+          console.warn(`Skipping analysis of ${lockfile.path}: ${lockfile.error}`);
+          continue;
+        }
+
+        findDuplicateVersions(lockfile, this.config.lockfile?.heavyPackages || []).forEach(({ name, versions }) => {
+          this.reportIssue(auditReport, 'deps/lockfile-duplicates', {
+            message: `${name} is installed at ${versions.length} versions: ${versions.join(', ')}`,
+            description: 'Duplicate copies of large packages inflate bundles and can break singletons such as React',
+            file: lockfile.path,
+            dependency: name,
+            actual: versions.join(', '),
+            suggestion: `Align the ${name} ranges so one version satisfies them, or pin it via overrides/resolutions`
+          });
+        });
+
+        findLockfileDrift(lockfile, manifests).forEach(({ path, fields, dependency, range, locked }) => {
+          this.reportIssue(auditReport, 'deps/lockfile-drift', {
+            message: locked.length > 0
+              ? `${lockfile.path} does not match ${dependency}@${range} from ${path}`
+              : `${dependency} from ${path} is missing from ${lockfile.path}`,
+            description: `Declared in ${fields.join(' and ')} of ${path}` + (locked.length > 0 ? `; locked: ${locked.join(', ')}` : ''),
+            file: lockfile.path,
+            dependency,
+            expected: range,
+            actual: locked.join(', ') || undefined,
+            suggestion: 'Run install and commit the updated lockfile'
+          });
+        });
+      }
+
+    } catch (error) {
+      console.error('Error in lockfile audit:', error.message);
+    }
+  }
+
+  /**
+   * Audit dependency consistency across every workspace package.json
+   */
+  async auditWorkspaceDependencies(targetData, auditReport) {
+    try {
+      const manifests = parseWorkspaceManifests(targetData.packageFiles);
+      if (manifests.length === 0) return;
+
+      findVersionMismatches(manifests).forEach(({ dependency, versions }) => {
+        const usages = versions.flatMap(({ version, usages }) => usages.map(usage => `${usage.path} (${usage.field}): ${version}`));
+        this.reportIssue(auditReport, 'deps/version-mismatch', {
+          message: `${dependency} is declared with ${versions.length} different ranges across workspaces`,
+          description: usages.join('; '),
+          file: versions[versions.length - 1].usages[0].path,
+          dependency,
+          expected: versions[0].version,
+          actual: versions.slice(1).map(({ version }) => version).join(', '),
+          suggestion: `Use the same range for ${dependency} in every workspace`
+        });
+      });
+
+      // Only pnpm, yarn and bun support the workspace: protocol (npm install rejects it)
+      const rootPkg = manifests.find(manifest => manifest.path === 'package.json')?.pkg;
+      if (WORKSPACE_PROTOCOL_MANAGERS.includes(detectPackageManager(targetData.lockfiles || [], rootPkg))) {
+        findNonWorkspaceReferences(manifests).forEach(({ path, field, dependency, version }) => {
+          this.reportIssue(auditReport, 'deps/workspace-protocol', {
+            message: `Internal package ${dependency} is referenced as "${version}" in ${field}`,
+            description: 'A plain range can resolve to a published copy instead of the local workspace package',
+            file: path,
+            dependency,
+            expected: 'workspace:*',
+            actual: version,
+            suggestion: `Reference ${dependency} as "workspace:*"`
+          });
+        });
+      }
+
+      findReactMismatches(manifests).forEach(({ path, field, react, reactDom }) => {
+        this.reportIssue(auditReport, 'deps/react-dom-mismatch', {
+          message: react
+            ? `react (${react}) and react-dom (${reactDom}) ranges differ in ${field}`
+            : `react-dom (${reactDom}) is declared without react`,
+          description: 'react-dom must be installed at the same version as react',
+          file: path,
+          dependency: 'react-dom',
+          expected: react ?? reactDom,
+          actual: reactDom,
+          suggestion: react ? `Use ${react} for react-dom` : `Declare react ${reactDom} alongside react-dom`
+        });
+      });
+
+      findDuplicateDeclarations(manifests).forEach(({ path, dependency, dependencies, devDependencies }) => {
+        this.reportIssue(auditReport, 'deps/duplicate-declaration', {
+          message: `${dependency} is declared in both dependencies (${dependencies}) and devDependencies (${devDependencies})`,
+          description: 'Package managers install only one of the two declarations',
+          file: path,
+          dependency,
+          suggestion: `Keep ${dependency} in dependencies if it is needed at runtime, otherwise in devDependencies`
+        });
+      });
+
+    } catch (error) {
+      console.error('Error in workspace dependency audit:', error.message);
+    }
+  }
+
   /**
    * Audit build configuration
    */
@@ -194,10 +505,10 @@ export class AuditEngine {
 
     try {
       // Check for Turbo configuration
-      const turboConfig = targetData.configFiles.find(f => f.path === 'turbo.json');
-      if (!turboConfig) {
-        this.addIssue(auditReport, category, {
-          severity: SEVERITY_LEVELS.HIGH,
+      const isTurboConfig = f => f.path === 'turbo.json';
+      const turboConfig = targetData.configFiles.find(isTurboConfig);
+      if (!turboConfig && !this.isUnanalyzed(targetData, isTurboConfig)) {
+        this.reportIssue(auditReport, 'build/turbo-config', {
           message: 'Missing turbo.json configuration',
           description: 'Monorepo should use Turborepo for build orchestration',
           file: 'turbo.json'
@@ -205,10 +516,10 @@ export class AuditEngine {
       }
 
       // Check for TypeScript configuration
-      const tsConfig = targetData.configFiles.find(f => f.path === 'tsconfig.json');
-      if (!tsConfig) {
-        this.addIssue(auditReport, category, {
-          severity: SEVERITY_LEVELS.MEDIUM,
+      const isTsConfig = f => f.path === 'tsconfig.json';
+      const tsConfig = targetData.configFiles.find(isTsConfig);
+      if (!tsConfig && !this.isUnanalyzed(targetData, isTsConfig)) {
+        this.reportIssue(auditReport, 'build/typescript-config', {
           message: 'Missing TypeScript configuration',
           description: 'Should have TypeScript configuration for better development experience',
           file: 'tsconfig.json'
@@ -216,18 +527,37 @@ export class AuditEngine {
       }
 
       // Check for Babel configuration
-      const babelConfig = targetData.configFiles.find(f => 
-        f.path.includes('babel.config')
-      );
-      if (!babelConfig) {
-        this.addIssue(auditReport, category, {
-          severity: SEVERITY_LEVELS.MEDIUM,
+      const isBabelConfig = f => f.path.includes('babel.config');
+      const babelConfig = targetData.configFiles.find(isBabelConfig);
+      if (!babelConfig && !this.isUnanalyzed(targetData, isBabelConfig)) {
+        this.reportIssue(auditReport, 'build/babel-config', {
           message: 'Missing Babel configuration',
           description: 'Should have Babel configuration for consistent transpilation',
           file: 'babel.config.json'
         });
       }
 
+      // Compare configuration with the boilerplate
+      const boilerplateTurbo = this.findFileByName(boilerplateData, 'turbo.json');
+      if (turboConfig && boilerplateTurbo) {
+        this.compareWithBoilerplate(auditReport, 'build/turbo-config-drift', turboConfig, boilerplateTurbo,
+          'Turbo pipeline setting', (expected, actual) => diffTurboPipelines(parseJSONC(expected), parseJSONC(actual)));
+      }
+
+      const boilerplateTsconfig = this.findFileByName(boilerplateData, 'tsconfig.json');
+      if (tsConfig && boilerplateTsconfig) {
+        this.compareWithBoilerplate(auditReport, 'build/tsconfig-drift', tsConfig, boilerplateTsconfig,
+          'tsconfig option', (expected, actual) => diffTsconfig(parseJSONC(expected), parseJSONC(actual)));
+      }
+
+      // Only JSON Babel configs can be compared without executing them
+      const boilerplateBabel = this.findFileByName(boilerplateData, 'babel.config.json');
+      const jsonBabelConfig = targetData.configFiles.find(f => /(^|\/)(babel\.config\.json|\.babelrc(\.json)?)$/.test(f.path));
+      if (jsonBabelConfig && boilerplateBabel) {
+        this.compareWithBoilerplate(auditReport, 'build/babel-presets-drift', jsonBabelConfig, boilerplateBabel,
+          'Babel preset', (expected, actual) => diffBabelPresets(parseJSONC(expected), parseJSONC(actual)));
+      }
+
     } catch (error) {
       console.error('Error in build configuration audit:', error.message);
     }
@@ -242,12 +572,10 @@ export class AuditEngine {
 
     try {
       // Check for ESLint configuration
-      const eslintConfig = targetData.configFiles.find(f => 
-        f.path.includes('eslint.config') || f.path.includes('.eslintrc')
-      );
-      if (!eslintConfig) {
-        this.addIssue(auditReport, category, {
-          severity: SEVERITY_LEVELS.HIGH,
+      const isEslintConfig = f => f.path.includes('eslint.config') || f.path.includes('.eslintrc');
+      const eslintConfig = targetData.configFiles.find(isEslintConfig);
+      if (!eslintConfig && !this.isUnanalyzed(targetData, isEslintConfig)) {
+        this.reportIssue(auditReport, 'quality/eslint-config', {
           message: 'Missing ESLint configuration',
           description: 'Should have ESLint configuration for code quality',
           file: 'eslint.config.js'
@@ -255,12 +583,10 @@ export class AuditEngine {
       }
 
       // Check for Prettier configuration
-      const prettierConfig = targetData.configFiles.find(f => 
-        f.path.includes('prettier.config') || f.path.includes('.prettierrc')
-      );
-      if (!prettierConfig) {
-        this.addIssue(auditReport, category, {
-          severity: SEVERITY_LEVELS.MEDIUM,
+      const isPrettierConfig = f => f.path.includes('prettier.config') || f.path.includes('.prettierrc');
+      const prettierConfig = targetData.configFiles.find(isPrettierConfig);
+      if (!prettierConfig && !this.isUnanalyzed(targetData, isPrettierConfig)) {
+        this.reportIssue(auditReport, 'quality/prettier-config', {
           message: 'Missing Prettier configuration',
           description: 'Should have Prettier configuration for consistent formatting',
           file: 'prettier.config.js'
@@ -273,20 +599,20 @@ export class AuditEngine {
         const rootPkg = JSON.parse(rootPackage.content);
         
         if (!rootPkg.devDependencies?.husky) {
-          this.addIssue(auditReport, category, {
-            severity: SEVERITY_LEVELS.MEDIUM,
+          this.reportIssue(auditReport, 'quality/husky', {
             message: 'Missing Husky for git hooks',
             description: 'Should use Husky for pre-commit quality checks',
-            file: 'package.json'
+            file: 'package.json',
+            dependency: 'husky'
           });
         }
 
         if (!rootPkg.devDependencies?.['lint-staged']) {
-          this.addIssue(auditReport, category, {
-            severity: SEVERITY_LEVELS.MEDIUM,
+          this.reportIssue(auditReport, 'quality/lint-staged', {
             message: 'Missing lint-staged',
             description: 'Should use lint-staged for efficient pre-commit linting',
-            file: 'package.json'
+            file: 'package.json',
+            dependency: 'lint-staged'
           });
         }
       }
@@ -305,26 +631,30 @@ export class AuditEngine {
 
     try {
       // Check for Jest configuration
-      const jestConfig = targetData.configFiles.find(f => 
-        f.path.includes('jest.config')
-      );
-      if (!jestConfig) {
-        this.addIssue(auditReport, category, {
-          severity: SEVERITY_LEVELS.HIGH,
+      const isJestConfig = f => f.path.includes('jest.config');
+      const jestConfig = targetData.configFiles.find(isJestConfig);
+      if (!jestConfig && !this.isUnanalyzed(targetData, isJestConfig)) {
+        this.reportIssue(auditReport, 'testing/jest-config', {
           message: 'Missing Jest configuration',
           description: 'Should have Jest configuration for testing',
           file: 'jest.config.js'
         });
       }
 
+      // Compare literal Jest options with the boilerplate
+      const boilerplateJest = this.findFileByName(boilerplateData, 'jest.config.js');
+      if (jestConfig && boilerplateJest) {
+        this.compareWithBoilerplate(auditReport, 'testing/jest-config-drift', jestConfig, boilerplateJest,
+          'Jest option', diffJestConfig);
+      }
+
       // Check for test scripts in package.json
       const rootPackage = targetData.packageFiles.find(f => f.path === 'package.json');
       if (rootPackage) {
         const rootPkg = JSON.parse(rootPackage.content);
         
         if (!rootPkg.scripts?.test) {
-          this.addIssue(auditReport, category, {
-            severity: SEVERITY_LEVELS.MEDIUM,
+          this.reportIssue(auditReport, 'testing/test-script', {
             message: 'Missing test script',
             description: 'Should have test script in package.json',
             file: 'package.json'
@@ -332,8 +662,7 @@ export class AuditEngine {
         }
 
         if (!rootPkg.scripts?.['test:ci']) {
-          this.addIssue(auditReport, category, {
-            severity: SEVERITY_LEVELS.LOW,
+          this.reportIssue(auditReport, 'testing/ci-test-script', {
             message: 'Missing CI test script',
             description: 'Should have test:ci script for CI/CD pipelines',
             file: 'package.json'
@@ -354,20 +683,470 @@ export class AuditEngine {
     auditReport.categories[category] = { issues: [], score: 100 };
 
     try {
-      // This would need to be expanded to check for README files
-      // For now, we'll add a placeholder check
-      this.addIssue(auditReport, category, {
-        severity: SEVERITY_LEVELS.LOW,
-        message: 'Documentation audit not fully implemented',
-        description: 'README and documentation checks need to be implemented',
-        file: 'various'
-      });
+      const docs = targetData.documentationFiles || [];
+      const isDoc = (directory, name) => f =>
+        f.path.toLowerCase() === (directory ? `${directory}/${name}` : name).toLowerCase();
+      const findDoc = (directory, name) => docs.find(isDoc(directory, name));
+      const hasDoc = (directory, name) => findDoc(directory, name) || this.isUnanalyzed(targetData, isDoc(directory, name));
+
+      // Root README and its required sections
+      const rootReadme = findDoc('', 'README.md');
+      if (!hasDoc('', 'README.md')) {
+        this.reportIssue(auditReport, 'docs/root-readme', {
+          message: 'Missing root README.md',
+          description: 'The repository should explain how to set up, run and own it',
+          file: 'README.md'
+        });
+      } else if (rootReadme) {
+        const headings = this.getMarkdownHeadings(rootReadme.content);
+        const { requiredSections } = this.config.documentation;
+
+        for (const [section, keywords] of Object.entries(requiredSections)) {
+          if (!headings.some(heading => keywords.some(keyword => heading.includes(keyword)))) {
+            this.reportIssue(auditReport, 'docs/readme-sections', {
+              message: `README.md is missing the "${section}" section`,
+              description: `Expected a heading mentioning one of: ${keywords.join(', ')}`,
+              file: rootReadme.path
+            });
+          }
+        }
+      }
+
+      // Workspace READMEs and changelogs for published packages
+      for (const packageFile of targetData.packageFiles) {
+        if (packageFile.path === 'package.json') continue;
+        const directory = posix.dirname(packageFile.path);
+
+        if (!hasDoc(directory, 'README.md')) {
+          this.reportIssue(auditReport, 'docs/workspace-readme', {
+            message: `Missing README.md in ${directory}`,
+            description: 'Each workspace should document its purpose and usage',
+            file: `${directory}/README.md`
+          });
+        }
+
+        let pkg;
+        try {
+          pkg = JSON.parse(packageFile.content);
+        } catch (error) {
+          continue;
+        }
+
+        if (!pkg.private && !hasDoc(directory, 'CHANGELOG.md')) {
+          this.reportIssue(auditReport, 'docs/changelog', {
+            message: `Missing CHANGELOG.md for published package ${pkg.name || directory}`,
+            description: 'Published packages should record their changes for consumers',
+            file: `${directory}/CHANGELOG.md`,
+            suggestion: 'Generate changelogs with changesets or conventional commits'
+          });
+        }
+      }
+
+      // Code ownership
+      const { codeownersPaths } = this.config.documentation;
+      const isCodeowners = f => codeownersPaths.includes(f.path);
+      if (!docs.some(isCodeowners) && !this.isUnanalyzed(targetData, isCodeowners)) {
+        this.reportIssue(auditReport, 'docs/codeowners', {
+          message: 'Missing CODEOWNERS file',
+          description: 'CODEOWNERS routes reviews to the teams that own each part of the monorepo',
+          file: codeownersPaths[0]
+        });
+      }
+
+      // Broken relative links between markdown files, looked up in the
+      // fetched tree when the source has one
+      const { owner, repo, sha } = targetData.metadata;
+      const treePaths = targetData.tree && new Set(targetData.tree.map(entry => entry.path));
+      const directoryListings = new Map();
+      const pathExists = async path => {
+        if (docs.some(f => f.path === path)) return true;
+        if (treePaths) return treePaths.has(path);
+
+        const directory = posix.dirname(path) === '.' ? '' : posix.dirname(path);
+        if (!directoryListings.has(directory)) {
+          directoryListings.set(directory, await this.source.getRepositoryStructure(owner, repo, directory, { ref: sha || undefined }));
+        }
+        return directoryListings.get(directory).some(item => item.path === path);
+      };
+
+      for (const doc of docs.filter(f => f.path.toLowerCase().endsWith('.md'))) {
+        for (const link of this.getRelativeLinks(doc)) {
+          if (link.target === null) continue;
+          if (link.target !== undefined && await pathExists(link.target)) continue;
+
+          this.reportIssue(auditReport, 'docs/broken-links', {
+            message: `Broken relative link to ${link.href}`,
+            description: link.target === undefined
+              ? 'The link points outside the repository'
+              : `${link.target} does not exist in the repository`,
+            file: doc.path,
+            line: link.line
+          });
+        }
+      }
 
     } catch (error) {
       console.error('Error in documentation audit:', error.message);
     }
   }
 
+  /**
+   * Whether a file matching `predicate` exists but could not be analyzed
+   * (see RepositorySource.fetchFiles), so it must not be reported as missing
+   */
+  isUnanalyzed(targetData, predicate) {
+    return (targetData.unanalyzedFiles || []).some(predicate);
+  }
+
+  /**
+   * File from a fetched file list by name (boilerplate paths include the template directory)
+   */
+  findFileByName(files, fileName) {
+    return files.find(f => f.path === fileName || f.path.endsWith(`/${fileName}`));
+  }
+
+  /**
+   * Diff a target file against its boilerplate counterpart and report each divergence
+   */
+  compareWithBoilerplate(auditReport, ruleId, targetFile, boilerplateFile, subject, diffContents) {
+    try {
+      const divergences = diffContents(boilerplateFile.content, targetFile.content);
+      this.reportBoilerplateDivergences(auditReport, ruleId, targetFile.path, subject, divergences);
+    } catch (error) {
+      console.error(`Error comparing ${targetFile.path} with the boilerplate:`, error.message);
+    }
+  }
+
+  /**
+   * One issue per divergence, with the expected (boilerplate) and actual values
+   */
+  reportBoilerplateDivergences(auditReport, ruleId, file, subject, divergences) {
+    divergences.forEach(({ path, kind, expected, actual }) => {
+      const name = formatPath(path);
+      const structured = typeof expected === 'object' || typeof actual === 'object';
+
+      this.reportIssue(auditReport, ruleId, {
+        message: kind === 'missing'
+          ? `${subject} "${name}" from the boilerplate is missing`
+          : `${subject} "${name}" differs from the boilerplate`,
+        description: structured
+          ? `The ${kind === 'missing' ? 'boilerplate defines this entry' : 'value differs from the boilerplate template'} (see diff)`
+          : `Expected ${JSON.stringify(expected)}, found ${kind === 'missing' ? 'nothing' : JSON.stringify(actual)}`,
+        file,
+        key: name,
+        expected,
+        actual,
+        ...(structured && { diff: renderValueDiff(file, expected, actual) }),
+        suggestion: `Align ${name} with the boilerplate template`
+      });
+    });
+  }
+
+  /**
+   * Lower-cased markdown headings of a document
+   */
+  getMarkdownHeadings(content) {
+    return content
+      .split(/\r?\n/)
+      .map(line => line.match(/^#{1,6}\s+(.+?)\s*#*$/))
+      .filter(Boolean)
+      .map(match => match[1].toLowerCase());
+  }
+
+  /**
+   * Relative links of a markdown file, resolved against the repository root.
+   * `target` is null for links that need no check (anchors, URLs) and
+   * undefined for links escaping the repository.
+   */
+  getRelativeLinks(doc) {
+    const links = [];
+    const linkPattern = /!?\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^"']*["'])?\s*\)/g;
+
+    doc.content.split(/\r?\n/).forEach((text, index) => {
+      for (const match of text.matchAll(linkPattern)) {
+        const href = match[1];
+        if (/^([a-z][a-z0-9+.-]*:|#|\/\/)/i.test(href)) continue;
+
+        let relativePath = href.replace(/[#?].*$/, '');
+        try {
+          relativePath = decodeURIComponent(relativePath);
+        } catch (error) {
+          // Keep the raw path when it is not valid URI encoding
+        }
+
+        const resolved = relativePath.startsWith('/')
+          ? posix.normalize(relativePath.slice(1))
+          : posix.normalize(posix.join(posix.dirname(doc.path), relativePath));
+        const target = resolved.startsWith('..') ? undefined : resolved.replace(/\/$/, '');
+
+        links.push({ href, line: index + 1, target: target === '.' || target === '' ? null : target });
+      }
+    });
+
+    return links;
+  }
+
+  /**
+   * Audit security and compliance
+   */
+  async auditSecurity(targetData, auditReport) {
+    const category = AUDIT_CATEGORIES.SECURITY;
+    auditReport.categories[category] = { issues: [], score: 100 };
+
+    try {
+      const securityFiles = targetData.securityFiles || [];
+
+      // Committed .env files
+      (targetData.envFiles || []).forEach(envFile => {
+        this.reportIssue(auditReport, 'security/env-files', {
+          message: `Environment file committed: ${envFile.path}`,
+          description: '.env files usually hold credentials and must not be committed',
+          file: envFile.path,
+          suggestion: 'Remove the file from the repository, rotate its secrets and add it to .gitignore'
+        });
+      });
+
+      // Hard-coded credentials in fetched configuration
+      const scannedFiles = [
+        ...targetData.packageFiles,
+        ...targetData.configFiles,
+        ...securityFiles
+      ];
+      scannedFiles.forEach(file => {
+        scanForSecrets(file).forEach(finding => {
+          this.reportIssue(auditReport, 'security/hardcoded-secrets', {
+            message: `Hard-coded ${finding.type} (${finding.preview})`,
+            description: 'Credentials in committed files are exposed to everyone with read access',
+            file: file.path,
+            line: finding.line,
+            suggestion: 'Move the value to an environment variable or secret store and rotate it'
+          });
+        });
+      });
+
+      // Insecure registry settings
+      securityFiles.forEach(file => {
+        file.content.split(/\r?\n/).forEach((text, index) => {
+          const setting = text.trim();
+          if (setting.startsWith('#') || setting.startsWith(';')) return;
+
+          if (/registry|npmRegistryServer/i.test(setting) && /["'=\s:]http:\/\//.test(setting)) {
+            this.reportIssue(auditReport, 'security/insecure-registry', {
+              message: 'Package registry configured over insecure http://',
+              description: 'Packages fetched over plain HTTP can be tampered with in transit',
+              file: file.path,
+              line: index + 1,
+              suggestion: 'Use an https:// registry URL'
+            });
+          }
+
+          if (/^strict-ssl\s*=\s*false$|^enableStrictSsl:\s*false$/i.test(setting)) {
+            this.reportIssue(auditReport, 'security/strict-ssl-disabled', {
+              message: 'TLS certificate verification disabled for the registry',
+              description: 'Disabling strict SSL allows man-in-the-middle attacks on package installs',
+              file: file.path,
+              line: index + 1,
+              suggestion: 'Remove the setting and configure the registry CA certificate instead'
+            });
+          }
+        });
+      });
+
+      // Packages installed from git, local paths or unknown hosts
+      const lockfiles = (targetData.lockfiles || []).filter(lockfile => !lockfile.error);
+      const registryHosts = [...configuredRegistryHosts(securityFiles), ...(this.config.lockfile?.allowedRegistries || [])];
+      lockfiles.forEach(lockfile => {
+        findNonRegistrySources(lockfile, registryHosts).forEach(({ name, version, source }) => {
+          this.reportIssue(auditReport, 'security/non-registry-source', {
+            message: `${name}@${version} is installed from ${source}`,
+            description: 'Packages outside a registry bypass its integrity checks and advisories',
+            file: lockfile.path,
+            dependency: name,
+            suggestion: `Publish ${name} to the registry, or add its host to lockfile.allowedRegistries if it is trusted`
+          });
+        });
+      });
+
+      // Known vulnerabilities in installed versions
+      if (!this.advisoryDatabase) {
+        console.warn('No advisory database supplied, skipping lockfile vulnerability checks');
+        return;
+      }
+
+      const rootPackage = targetData.packageFiles.find(f => f.path === 'package.json');
+      const rootPkg = rootPackage ? JSON.parse(rootPackage.content) : {};
+      const directDependencies = this.getDirectDependencyNames(targetData.packageFiles);
+      const overriddenPackages = this.getOverriddenPackageNames(rootPkg);
+
+      for (const lockfile of lockfiles) {
+        const seen = new Set();
+
+        for (const pkg of lockfile.packages) {
+          const key = `${pkg.name}@${pkg.version}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+
+          const advisories = this.advisoryDatabase.match(pkg.name, pkg.version);
+          if (advisories.length === 0) continue;
+
+          const isDirect = directDependencies.has(pkg.name);
+          advisories.forEach(advisory => {
+            this.reportIssue(auditReport, 'security/vulnerabilities', {
+              severity: advisory.severity,
+              message: `${key} is affected by ${advisory.id}: ${advisory.title}`,
+              description: `Vulnerable versions: ${advisory.vulnerableRange}` +
+                (advisory.url ? ` (${advisory.url})` : ''),
+              file: lockfile.path,
+              suggestion: isDirect
+                ? `Upgrade ${pkg.name}${advisory.patched ? ` to ${advisory.patched}` : ' to a patched version'}`
+                : `Upgrade the dependency that pulls in ${pkg.name} or pin a patched version via overrides/resolutions`
+            });
+          });
+
+          if (!isDirect && !overriddenPackages.has(pkg.name)) {
+            this.reportIssue(auditReport, 'security/missing-override', {
+              message: `No override pinning vulnerable transitive dependency ${key}`,
+              description: `${pkg.name} is not a direct dependency, so it can only be fixed with ` +
+                `${this.getOverrideField(lockfile.type)} in the root package.json`,
+              file: 'package.json',
+              suggestion: `Add "${pkg.name}": "${advisories.find(a => a.patched)?.patched || '<patched version>'}" ` +
+                `to ${this.getOverrideField(lockfile.type)}`
+            });
+          }
+        }
+      }
+
+    } catch (error) {
+      console.error('Error in security audit:', error.message);
+    }
+  }
+
+  /**
+   * Names of every dependency declared by any workspace manifest
+   */
+  getDirectDependencyNames(packageFiles) {
+    const names = new Set();
+    const fields = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+
+    packageFiles.forEach(file => {
+      try {
+        const pkg = JSON.parse(file.content);
+        fields.forEach(field => Object.keys(pkg[field] || {}).forEach(name => names.add(name)));
+      } catch (error) {
+        console.error(`Error parsing ${file.path}:`, error.message);
+      }
+    });
+
+    return names;
+  }
+
+  /**
+   * Names of packages pinned through npm overrides, yarn resolutions or pnpm overrides
+   */
+  getOverriddenPackageNames(rootPkg) {
+    const names = new Set();
+
+    // Keys look like `pkg`, `pkg@<2`, `**/pkg`, `parent/pkg` or `parent>pkg`
+    const addKey = key => {
+      const match = key.split('>').pop().match(/((?:@[^/@]+\/)?[^/@]+)(?:@[^/]*)?$/);
+      if (match) names.add(match[1]);
+    };
+
+    const walkOverrides = overrides => {
+      Object.entries(overrides || {}).forEach(([key, value]) => {
+        if (key === '.') return;
+        addKey(key);
+        if (value && typeof value === 'object') walkOverrides(value);
+      });
+    };
+
+    walkOverrides(rootPkg.overrides);
+    Object.keys(rootPkg.resolutions || {}).forEach(addKey);
+    Object.keys(rootPkg.pnpm?.overrides || {}).forEach(addKey);
+
+    return names;
+  }
+
+  /**
+   * package.json field used to force transitive versions for a package manager
+   */
+  getOverrideField(lockfileType) {
+    switch (lockfileType) {
+      case 'yarn':
+      case 'yarn-berry':
+        return '"resolutions"';
+      case 'pnpm':
+        return '"pnpm.overrides"';
+      default:
+        return '"overrides"';
+    }
+  }
+
+  /**
+   * Report only issues missing from a baseline. Baselined issues are
+   * counted as suppressed, baseline entries no longer found are listed as
+   * resolved, and the compliance score is kept for both views.
+   */
+  applyBaseline(auditReport, baseline) {
+    const knownKeys = new Set(baseline.issues.map(baselineKey));
+    const currentKeys = new Set();
+    let suppressedIssues = 0;
+
+    const filteredReport = {
+      ...auditReport,
+      summary: {
+        totalIssues: 0,
+        criticalIssues: 0,
+        highIssues: 0,
+        mediumIssues: 0,
+        lowIssues: 0,
+        complianceScore: 0
+      },
+      categories: {}
+    };
+
+    for (const [category, categoryData] of Object.entries(auditReport.categories)) {
+      filteredReport.categories[category] = { issues: [], score: 100 };
+
+      categoryData.issues.forEach(issue => {
+        const key = baselineKey(issue);
+        currentKeys.add(key);
+        if (knownKeys.has(key)) {
+          suppressedIssues++;
+        } else {
+          this.addIssue(filteredReport, category, issue);
+        }
+      });
+    }
+
+    this.calculateComplianceScore(filteredReport);
+
+    filteredReport.baseline = {
+      createdAt: baseline.createdAt,
+      suppressedIssues,
+      resolvedIssues: baseline.issues.filter(issue => !currentKeys.has(baselineKey(issue))),
+      complianceScore: {
+        newIssues: filteredReport.summary.complianceScore,
+        allIssues: auditReport.summary.complianceScore
+      }
+    };
+
+    return filteredReport;
+  }
+
+  /**
+   * Report an issue for a registered rule, honouring rule overrides.
+   * `details.severity` is only a fallback for rules whose severity
+   * depends on the finding (e.g. advisory severity).
+   */
+  reportIssue(auditReport, ruleId, details) {
+    const rule = this.rules.resolve(ruleId);
+    if (!rule.enabled) return;
+
+    const severity = rule.severityOverridden ? rule.severity : (details.severity || rule.severity);
+    this.addIssue(auditReport, rule.category, { ruleId, ...details, severity });
+  }
+
   /**
    * Add issue to audit report
    */
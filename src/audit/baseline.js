@@ -0,0 +1,77 @@
+/**
+ * Audit Baseline for Frontend Auditor Agent
+ * Snapshot of accepted issues, keyed by rule ID, file and message, so later
+ * audits report only new issues
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+
+// Version 1 keyed issues by rule ID and file only
+export const BASELINE_VERSION = 2;
+
+/**
+ * Key an issue is matched on across runs. The message tells apart issues
+ * of one rule in one file (each vulnerable package in a lockfile, each
+ * secret in .npmrc), so accepting one of them does not hide new ones.
+ */
+export function baselineKey(issue) {
+  return [issue.ruleId, issue.file || '', normalizeMessage(issue.message)].join('::');
+}
+
+function normalizeMessage(message = '') {
+  return message.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Baseline of every issue in an audit report
+ */
+export function createBaseline(auditReport) {
+  const entries = new Map();
+
+  for (const category of Object.values(auditReport.categories)) {
+    for (const issue of category.issues) {
+      const key = baselineKey(issue);
+      if (!entries.has(key)) {
+        entries.set(key, {
+          ruleId: issue.ruleId,
+          file: issue.file || null,
+          severity: issue.severity,
+          message: issue.message
+        });
+      }
+    }
+  }
+
+  return {
+    version: BASELINE_VERSION,
+    repository: auditReport.repository,
+    createdAt: auditReport.timestamp,
+    issues: [...entries.values()].sort((a, b) => baselineKey(a).localeCompare(baselineKey(b)))
+  };
+}
+
+/**
+ * Read a baseline file
+ */
+export async function loadBaseline(filePath) {
+  let baseline;
+  try {
+    baseline = JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read baseline ${filePath}: ${error.message}`);
+  }
+
+  if (baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.issues)) {
+    throw new Error(
+      `${filePath} is not a frontend-auditor baseline (expected version ${BASELINE_VERSION}; regenerate older baselines with --write-baseline)`
+    );
+  }
+  return baseline;
+}
+
+/**
+ * Write a baseline file
+ */
+export async function saveBaseline(baseline, filePath) {
+  await writeFile(filePath, `${JSON.stringify(baseline, null, 2)}\n`, 'utf8');
+}
@@ -0,0 +1,165 @@
+/**
+ * Boilerplate Diff for Frontend Auditor Agent
+ * Structural comparison of target configuration files against the
+ * boilerplate template. Only values the boilerplate defines are compared:
+ * targets may add their own scripts, tasks or options.
+ */
+
+import { createTwoFilesPatch } from 'diff';
+
+/**
+ * Compare `expected` (boilerplate) with `actual` (target), returning
+ * `{ path, kind: 'missing' | 'changed', expected, actual }` divergences
+ */
+export function deepDiff(expected, actual, path = []) {
+  if (actual === undefined) {
+    return [{ path, kind: 'missing', expected, actual }];
+  }
+
+  if (isPlainObject(expected) && isPlainObject(actual)) {
+    return Object.keys(expected).flatMap(key => deepDiff(expected[key], actual[key], [...path, key]));
+  }
+
+  return valuesEqual(expected, actual) ? [] : [{ path, kind: 'changed', expected, actual }];
+}
+
+/**
+ * Boilerplate scripts missing or different in the target package.json
+ */
+export function diffScripts(boilerplatePkg, targetPkg) {
+  return deepDiff(boilerplatePkg.scripts || {}, targetPkg.scripts || {});
+}
+
+/**
+ * Turborepo tasks (`pipeline` in turbo 1.x, `tasks` in 2.x)
+ */
+export function diffTurboPipelines(boilerplateTurbo, targetTurbo) {
+  const tasksOf = turbo => turbo.tasks || turbo.pipeline || {};
+  return deepDiff(tasksOf(boilerplateTurbo), tasksOf(targetTurbo));
+}
+
+/**
+ * tsconfig `extends` and `compilerOptions`
+ */
+export function diffTsconfig(boilerplateTsconfig, targetTsconfig) {
+  const pick = tsconfig => ({
+    ...(tsconfig.extends !== undefined && { extends: tsconfig.extends }),
+    compilerOptions: tsconfig.compilerOptions || {}
+  });
+  return deepDiff(pick(boilerplateTsconfig), pick(targetTsconfig));
+}
+
+/**
+ * Babel presets, matched by name; options are compared for presets in both
+ */
+export function diffBabelPresets(boilerplateBabel, targetBabel) {
+  const presetsOf = babel => new Map((babel.presets || []).map(preset =>
+    Array.isArray(preset) ? [preset[0], preset[1] ?? {}] : [preset, {}]
+  ));
+  const targetPresets = presetsOf(targetBabel);
+
+  return [...presetsOf(boilerplateBabel)].flatMap(([name, options]) =>
+    targetPresets.has(name)
+      ? deepDiff(options, targetPresets.get(name), [name])
+      : [{ path: [name], kind: 'missing', expected: name, actual: undefined }]
+  );
+}
+
+/**
+ * jest.config.js literal options (`key: 'value'`, numbers, booleans).
+ * JavaScript configs are not executed, so computed values are not compared.
+ */
+export function diffJestConfig(boilerplateSource, targetSource) {
+  return deepDiff(extractLiteralOptions(boilerplateSource), extractLiteralOptions(targetSource));
+}
+
+/**
+ * Top-level `key: literal` pairs of a JavaScript config object
+ */
+export function extractLiteralOptions(source) {
+  const options = {};
+  // `key: literal` pairs, whole strings (so braces inside them are ignored) or brackets
+  const tokenPattern = /([A-Za-z_$][\w$]*|'[^'\n]*'|"[^"\n]*")\s*:\s*('[^'\n]*'|"[^"\n]*"|-?\d+(?:\.\d+)?|true|false|null)(?=\s*(?:[,}\n]|$))|(['"`])(?:\\.|(?!\3)[^\\])*?\3|[{[]|[}\]]/g;
+
+  let depth = 0;
+  for (const match of stripComments(source).matchAll(tokenPattern)) {
+    const [token, key, value] = match;
+
+    if (key !== undefined) {
+      // Options of the exported object sit one level deep
+      if (depth === 1) {
+        options[key.replace(/^['"]|['"]$/g, '')] = parseLiteral(value);
+      }
+    } else if (token === '{' || token === '[') {
+      depth++;
+    } else if (token === '}' || token === ']') {
+      depth--;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Parse JSON that may contain comments and trailing commas (tsconfig, babelrc)
+ */
+export function parseJSONC(content) {
+  return JSON.parse(stripComments(content).replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * Unified diff of two values, for display under an issue
+ */
+export function renderValueDiff(fileName, expected, actual) {
+  const format = value => value === undefined ? '' : `${JSON.stringify(value, null, 2)}\n`;
+  const patch = createTwoFilesPatch(
+    `boilerplate/${fileName}`,
+    `target/${fileName}`,
+    format(expected),
+    format(actual),
+    '',
+    '',
+    { context: 2 }
+  );
+
+  // Drop the `Index:`/`===` preamble and end-of-file markers, keep the ---/+++ headers and hunks
+  return patch
+    .split('\n')
+    .filter(line => !line.startsWith('Index:') && !line.startsWith('===') && !line.startsWith('\\'))
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Display form of a divergence path (`compilerOptions.strict`)
+ */
+export function formatPath(path) {
+  return path.join('.');
+}
+
+function valuesEqual(expected, actual) {
+  // Primitive arrays (dependsOn, outputs, ...) are compared as sets
+  if (Array.isArray(expected) && Array.isArray(actual) &&
+      [...expected, ...actual].every(item => typeof item !== 'object' || item === null)) {
+    return expected.length === actual.length && expected.every(item => actual.includes(item));
+  }
+  return JSON.stringify(expected) === JSON.stringify(actual);
+}
+
+function parseLiteral(literal) {
+  if (/^['"`]/.test(literal)) return literal.slice(1, -1);
+  return JSON.parse(literal);
+}
+
+/**
+ * Remove // and /* *\/ comments outside of strings
+ */
+function stripComments(source) {
+  return source.replace(/("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|`(?:\\.|[^`\\])*`)|\/\/[^\n]*|\/\*[\s\S]*?\*\//g,
+    (match, string) => string ?? '');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
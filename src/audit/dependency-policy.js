@@ -0,0 +1,139 @@
+/**
+ * Dependency Policy for Frontend Auditor Agent
+ * Version policy for workspace dependencies: minimum versions, allowed
+ * ranges, banned packages and preferred replacements. Policies come from
+ * fe-common-config or a local file.
+ *
+ * ```yaml
+ * minVersions:
+ *   "@dtsl/eslint-config": 2.0.0
+ * allowedRanges:
+ *   react: ^18.0.0
+ * banned:
+ *   moment: Use date-fns instead
+ * replacements:
+ *   lodash: lodash-es
+ * ```
+ */
+
+import { readFile } from 'fs/promises';
+import semver from 'semver';
+import { parse as parseYAML } from 'yaml';
+
+const VERSION_FIELDS = ['dependencies', 'devDependencies'];
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies'];
+
+export class DependencyPolicy {
+  constructor({ minVersions = {}, allowedRanges = {}, banned = {}, replacements = {} } = {}) {
+    this.minVersions = minVersions;
+    this.allowedRanges = allowedRanges;
+    // A list of names is shorthand for banning without a reason
+    this.banned = Array.isArray(banned) ? Object.fromEntries(banned.map(name => [name, null])) : banned;
+    this.replacements = replacements;
+  }
+
+  /**
+   * Load a YAML or JSON policy file from disk
+   */
+  static async load(filePath) {
+    let data;
+    try {
+      data = parseYAML(await readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read dependency policy ${filePath}: ${error.message}`);
+    }
+    return DependencyPolicy.fromJSON(data, filePath);
+  }
+
+  /**
+   * Policy file published in the common config repository, if any
+   */
+  static fromCommonConfig(commonConfigData, fileName) {
+    const file = commonConfigData.find(f => f.path === fileName || f.path.endsWith(`/${fileName}`));
+    if (!file) return null;
+
+    try {
+      return DependencyPolicy.fromJSON(JSON.parse(file.content), file.path);
+    } catch (error) {
+      console.error(`Error loading dependency policy ${file.path}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Validate a parsed policy and build it
+   */
+  static fromJSON(data, source = 'dependency policy') {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`${source}: policy must be an object`);
+    }
+
+    const errors = [];
+    for (const [name, version] of Object.entries(data.minVersions || {})) {
+      if (!semver.valid(semver.coerce(version))) errors.push(`minVersions.${name}: "${version}" is not a version`);
+    }
+    for (const [name, range] of Object.entries(data.allowedRanges || {})) {
+      if (!semver.validRange(range)) errors.push(`allowedRanges.${name}: "${range}" is not a semver range`);
+    }
+    for (const [name, replacement] of Object.entries(data.replacements || {})) {
+      if (typeof replacement !== 'string') errors.push(`replacements.${name}: must be a package name`);
+    }
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    return new DependencyPolicy(data);
+  }
+
+  /**
+   * Packages the policy says something about
+   */
+  covers(name) {
+    return [this.minVersions, this.allowedRanges, this.banned, this.replacements].some(map => Object.hasOwn(map, name));
+  }
+
+  /**
+   * Policy violations across every workspace manifest
+   *
+   * @param {Array<{ path, pkg }>} manifests - See parseWorkspaceManifests
+   * @returns {Array<{ kind: 'min-version'|'allowed-range'|'banned'|'replacement', path, field, dependency, version, required }>}
+   */
+  evaluate(manifests) {
+    const violations = [];
+
+    for (const { path, pkg } of manifests) {
+      for (const field of DEPENDENCY_FIELDS) {
+        for (const [dependency, version] of Object.entries(pkg[field] || {})) {
+          const violation = { path, field, dependency, version };
+
+          // Own keys only: package names such as "constructor" are not policy entries
+          if (Object.hasOwn(this.banned, dependency)) {
+            violations.push({ ...violation, kind: 'banned', required: null, reason: this.banned[dependency] });
+          }
+          if (Object.hasOwn(this.replacements, dependency)) {
+            violations.push({ ...violation, kind: 'replacement', required: null, replacement: this.replacements[dependency] });
+          }
+
+          // Peer ranges describe what consumers may install, not what is used
+          if (!VERSION_FIELDS.includes(field) || !semver.validRange(version)) continue;
+
+          const minVersion = Object.hasOwn(this.minVersions, dependency) && this.minVersions[dependency];
+          if (minVersion) {
+            const lowest = semver.minVersion(version);
+            const required = semver.coerce(minVersion).version;
+            if (lowest && semver.lt(lowest, required)) {
+              violations.push({ ...violation, kind: 'min-version', required: `>=${required}` });
+            }
+          }
+
+          const allowedRange = Object.hasOwn(this.allowedRanges, dependency) && this.allowedRanges[dependency];
+          if (allowedRange && !semver.subset(version, allowedRange)) {
+            violations.push({ ...violation, kind: 'allowed-range', required: allowedRange });
+          }
+        }
+      }
+    }
+
+    return violations;
+  }
+}
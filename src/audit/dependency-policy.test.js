@@ -0,0 +1,86 @@
+import { describe, expect, test } from '@jest/globals';
+import { DependencyPolicy } from './dependency-policy.js';
+
+const manifest = (path, pkg) => ({ path, pkg });
+
+describe('DependencyPolicy', () => {
+  test('flags ranges whose lowest version is below the minimum', () => {
+    const policy = DependencyPolicy.fromJSON({ minVersions: { '@dtsl/eslint-config': '2.0.0', typescript: '5' } });
+    const violations = policy.evaluate([
+      manifest('package.json', { devDependencies: { '@dtsl/eslint-config': '^1.4.0', typescript: '~5.3.0' } }),
+      manifest('apps/web/package.json', { devDependencies: { '@dtsl/eslint-config': '>=2.0.0' } })
+    ]);
+
+    expect(violations).toEqual([{
+      kind: 'min-version',
+      path: 'package.json',
+      field: 'devDependencies',
+      dependency: '@dtsl/eslint-config',
+      version: '^1.4.0',
+      required: '>=2.0.0'
+    }]);
+  });
+
+  test('flags ranges that are not a subset of the allowed range', () => {
+    const policy = DependencyPolicy.fromJSON({ allowedRanges: { react: '^18.0.0' } });
+    const violations = policy.evaluate([
+      manifest('apps/web/package.json', { dependencies: { react: '^18.2.0' } }),
+      manifest('apps/admin/package.json', { dependencies: { react: '>=17.0.0' } })
+    ]);
+
+    expect(violations.map(violation => [violation.kind, violation.path, violation.required])).toEqual([
+      ['allowed-range', 'apps/admin/package.json', '^18.0.0']
+    ]);
+  });
+
+  test('leaves peer ranges and non-registry versions out of the version checks', () => {
+    const policy = DependencyPolicy.fromJSON({ minVersions: { react: '18.0.0' }, allowedRanges: { react: '^18.0.0' } });
+
+    expect(policy.evaluate([
+      manifest('packages/ui/package.json', { peerDependencies: { react: '>=16.8.0' }, dependencies: { react: 'workspace:*' } })
+    ])).toEqual([]);
+  });
+
+  test('bans packages listed with a reason or by name alone', () => {
+    const withReasons = DependencyPolicy.fromJSON({ banned: { moment: 'Use date-fns instead' } });
+    const shorthand = DependencyPolicy.fromJSON({ banned: ['moment', 'request'] });
+    const manifests = [manifest('package.json', { dependencies: { moment: '^2.29.0', request: '^2.88.0' } })];
+
+    expect(withReasons.evaluate(manifests)).toEqual([expect.objectContaining({ kind: 'banned', dependency: 'moment', reason: 'Use date-fns instead' })]);
+    expect(shorthand.evaluate(manifests).map(violation => [violation.dependency, violation.reason])).toEqual([
+      ['moment', null],
+      ['request', null]
+    ]);
+    expect(shorthand.covers('request')).toBe(true);
+  });
+
+  test('suggests replacements in every dependency field', () => {
+    const policy = DependencyPolicy.fromJSON({ replacements: { lodash: 'lodash-es' } });
+    const violations = policy.evaluate([manifest('package.json', { peerDependencies: { lodash: '^4.0.0' } })]);
+
+    expect(violations).toEqual([expect.objectContaining({ kind: 'replacement', field: 'peerDependencies', replacement: 'lodash-es' })]);
+  });
+
+  test('does not treat inherited object keys as policy entries', () => {
+    const policy = DependencyPolicy.fromJSON({ banned: ['moment'] });
+
+    expect(policy.covers('constructor')).toBe(false);
+    expect(policy.evaluate([
+      manifest('package.json', { dependencies: { constructor: '^1.0.0', toString: '^1.0.0', hasOwnProperty: '^1.0.0' } })
+    ])).toEqual([]);
+  });
+
+  test('rejects invalid policies with every error', () => {
+    expect(() => DependencyPolicy.fromJSON({
+      minVersions: { react: 'latest' },
+      allowedRanges: { vue: 'not a range' },
+      replacements: { lodash: true }
+    }, 'policy.yml')).toThrow([
+      'Invalid policy.yml:',
+      '  - minVersions.react: "latest" is not a version',
+      '  - allowedRanges.vue: "not a range" is not a semver range',
+      '  - replacements.lodash: must be a package name'
+    ].join('\n'));
+    expect(() => DependencyPolicy.fromJSON(['react'], 'policy.yml')).toThrow('policy.yml: policy must be an object');
+  });
+});
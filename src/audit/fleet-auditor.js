@@ -0,0 +1,182 @@
+/**
+ * Fleet Auditor for Frontend Auditor Agent
+ * Audits many repositories with bounded concurrency and aggregates the
+ * results into a fleet-wide ranking
+ */
+
+import { readFile } from 'fs/promises';
+import { parse as parseYAML } from 'yaml';
+
+export class FleetAuditor {
+  /**
+   * @param {AuditEngine} auditEngine - Engine (and repository source) shared by every audit
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Repositories audited at the same time
+   */
+  constructor(auditEngine, { concurrency = 3 } = {}) {
+    this.auditEngine = auditEngine;
+    this.concurrency = concurrency;
+  }
+
+  /**
+   * Audit every repository; failures are recorded per repository instead of
+   * aborting the fleet
+   *
+   * @param {Array<{ owner, repo, ref }>} repositories
+   * @param {Function} [onProgress] - Called with `(result, completed, total)` after each repository
+   */
+  async auditFleet(repositories, onProgress = () => {}) {
+    // Refs are resolved once for the whole fleet run
+    return this.auditEngine.source.inResolutionScope(async () => {
+      // The boilerplate and common config are the same for every repository
+      const boilerplateData = await this.auditEngine.source.getBoilerplateTemplate();
+      const commonConfigData = await this.auditEngine.source.getCommonConfig();
+
+      let completed = 0;
+      const results = await mapWithConcurrency(repositories, this.concurrency, async ({ owner, repo, ref }) => {
+        let result;
+        try {
+          const targetData = await this.auditEngine.source.getRepositoryDataChunked(owner, repo, { ref });
+          const report = await this.auditEngine.runAudit({ targetData, boilerplateData, commonConfigData });
+          result = { owner, repo, report };
+        } catch (error) {
+          console.error(`Error auditing ${owner}/${repo}:`, error.message);
+          result = { owner, repo, error: error.message };
+        }
+
+        onProgress(result, ++completed, repositories.length);
+        return result;
+      });
+
+      return aggregateFleetResults(results);
+    });
+  }
+}
+
+/**
+ * Fleet report: repositories ranked by compliance score and the rules that
+ * fail in the most repositories
+ */
+export function aggregateFleetResults(results) {
+  const audited = results.filter(result => result.report);
+  const ruleFailures = new Map();
+
+  for (const { owner, repo, report } of audited) {
+    const failedRules = new Map();
+    for (const [categoryName, category] of Object.entries(report.categories)) {
+      for (const issue of category.issues) {
+        if (!failedRules.has(issue.ruleId)) {
+          failedRules.set(issue.ruleId, { ruleId: issue.ruleId, category: categoryName, severity: issue.severity, issues: 0 });
+        }
+        failedRules.get(issue.ruleId).issues++;
+      }
+    }
+
+    for (const failure of failedRules.values()) {
+      const entry = ruleFailures.get(failure.ruleId) || {
+        ruleId: failure.ruleId,
+        category: failure.category,
+        severity: failure.severity,
+        repositories: [],
+        issues: 0
+      };
+      entry.repositories.push(`${owner}/${repo}`);
+      entry.issues += failure.issues;
+      ruleFailures.set(failure.ruleId, entry);
+    }
+  }
+
+  const scores = audited.map(result => result.report.summary.complianceScore);
+
+  return {
+    timestamp: new Date().toISOString(),
+    summary: {
+      repositories: results.length,
+      audited: audited.length,
+      failed: results.length - audited.length,
+      averageScore: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+      minScore: scores.length > 0 ? Math.min(...scores) : null,
+      maxScore: scores.length > 0 ? Math.max(...scores) : null
+    },
+    ranking: audited
+      .map(({ owner, repo, report }) => ({
+        repository: `${owner}/${repo}`,
+        ref: report.repository.ref,
+        sha: report.repository.sha,
+        complianceScore: report.summary.complianceScore,
+        criticalIssues: report.summary.criticalIssues,
+        highIssues: report.summary.highIssues,
+        totalIssues: report.summary.totalIssues
+      }))
+      .sort((a, b) => b.complianceScore - a.complianceScore || a.repository.localeCompare(b.repository)),
+    topFailingRules: [...ruleFailures.values()]
+      .sort((a, b) => b.repositories.length - a.repositories.length || b.issues - a.issues),
+    errors: results.filter(result => result.error).map(({ owner, repo, error }) => ({ repository: `${owner}/${repo}`, error })),
+    reports: audited.map(result => result.report)
+  };
+}
+
+/**
+ * Parse `owner/repo` or `owner/repo@ref`
+ */
+export function parseRepositorySpec(spec) {
+  const [name, ref] = spec.trim().split('@');
+  const [owner, repo, ...rest] = name.split('/');
+  if (!owner || !repo || rest.length > 0) {
+    throw new Error(`Invalid repository "${spec}" (expected owner/repo or owner/repo@ref)`);
+  }
+  return ref ? { owner, repo, ref } : { owner, repo };
+}
+
+/**
+ * Read a repository list: a YAML/JSON array of `owner/repo[@ref]` strings
+ * or `{ owner, repo, ref }` objects, or one repository per line
+ */
+export async function loadRepositoryList(filePath) {
+  let content;
+  try {
+    content = await readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Unable to read repository list ${filePath}: ${error.message}`);
+  }
+
+  let entries;
+  try {
+    entries = parseYAML(content);
+  } catch (error) {
+    entries = null;
+  }
+  if (!Array.isArray(entries)) {
+    entries = content.split('\n').map(line => line.replace(/#.*$/, '').trim()).filter(Boolean);
+  }
+
+  return entries.map(entry => typeof entry === 'string'
+    ? parseRepositorySpec(entry)
+    : parseRepositorySpec(`${entry.owner}/${entry.repo}${entry.ref ? `@${entry.ref}` : ''}`));
+}
+
+/**
+ * Match a repository name against a glob (`*`, `?`) such as `fe-*`
+ */
+export function matchesNamePattern(name, pattern) {
+  const regex = new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+  return regex.test(name);
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight, keeping order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,192 @@
+/**
+ * Lockfile Analysis for Frontend Auditor Agent
+ * Checks parsed lockfiles (see lockfile-parser.js) against the manifests and
+ * each other: mixed package managers, heavy packages installed at several
+ * versions, manifest ranges the lockfile does not satisfy, and packages
+ * installed from outside a registry
+ */
+
+import semver from 'semver';
+import { internalPackageNames } from './workspace-dependencies.js';
+
+const DRIFT_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+const DEFAULT_REGISTRY_HOSTS = ['registry.npmjs.org', 'registry.yarnpkg.com'];
+
+/**
+ * Package manager that wrote a lockfile: npm, yarn or pnpm
+ */
+export function lockfileManager(lockfile) {
+  return lockfile.type === 'yarn-berry' ? 'yarn' : lockfile.type;
+}
+
+/**
+ * Package manager of a repository: the one `packageManager` names, else the
+ * one whose lockfile is committed (null without lockfiles, or with lockfiles
+ * of several managers)
+ */
+export function detectPackageManager(lockfiles, rootPkg = {}) {
+  const declared = rootPkg.packageManager?.split('@')[0];
+  if (declared) return declared;
+
+  const managers = new Set(lockfiles.map(lockfileManager));
+  return managers.size === 1 ? [...managers][0] : null;
+}
+
+/**
+ * Lockfiles that conflict with the package manager in use: all of them when
+ * several managers' lockfiles are committed and `packageManager` does not
+ * say which one is right, otherwise those of a different manager
+ *
+ * @returns {Array<{ path, manager, expected: string|null }>}
+ */
+export function findConflictingLockfiles(lockfiles, rootPkg = {}) {
+  const declared = rootPkg.packageManager?.split('@')[0] || null;
+  const managers = new Set(lockfiles.map(lockfileManager));
+
+  if (!declared && managers.size <= 1) return [];
+
+  return lockfiles
+    .filter(lockfile => !declared || lockfileManager(lockfile) !== declared)
+    .map(lockfile => ({ path: lockfile.path, manager: lockfileManager(lockfile), expected: declared }));
+}
+
+/**
+ * Packages from `packageNames` installed at more than one version
+ *
+ * @returns {Array<{ name, versions: string[] }>}
+ */
+export function findDuplicateVersions(lockfile, packageNames) {
+  const watched = new Set(packageNames);
+  const versions = new Map();
+
+  for (const { name, version } of lockfile.packages) {
+    if (!watched.has(name) || !version) continue;
+    if (!versions.has(name)) versions.set(name, new Set());
+    versions.get(name).add(version);
+  }
+
+  return [...versions]
+    .filter(([, installed]) => installed.size > 1)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, installed]) => ({ name, versions: [...installed].sort(semver.compareLoose) }));
+}
+
+/**
+ * Manifest ranges the lockfile does not satisfy: dependencies missing from
+ * it, and ranges no locked version matches (yarn lockfiles record the exact
+ * ranges they resolved, so a changed range shows up even when satisfied).
+ * A range declared in several dependency fields of a manifest is one entry.
+ *
+ * @param {Array<{ path, pkg }>} manifests - See parseWorkspaceManifests
+ * @returns {Array<{ path, fields: string[], dependency, range, locked: string[] }>}
+ */
+export function findLockfileDrift(lockfile, manifests) {
+  const internal = internalPackageNames(manifests);
+  const locked = new Map();
+
+  for (const { name, version, specifiers } of lockfile.packages) {
+    if (!locked.has(name)) locked.set(name, { versions: new Set(), specifiers: new Set() });
+    const entry = locked.get(name);
+    if (version) entry.versions.add(version);
+    specifiers.forEach(specifier => entry.specifiers.add(specifier));
+  }
+
+  // `${path} ${dependency}@${range}` -> drift entry
+  const drift = new Map();
+  for (const { path, pkg } of manifests) {
+    for (const field of DRIFT_FIELDS) {
+      for (const [dependency, range] of Object.entries(pkg[field] || {})) {
+        // Only registry ranges can be checked (not workspace:, npm: aliases, git or file references)
+        if (internal.has(dependency) || !semver.validRange(range)) continue;
+
+        const entry = locked.get(dependency);
+        const inSync = entry && (entry.specifiers.size > 0
+          ? entry.specifiers.has(range)
+          : [...entry.versions].some(version => semver.valid(version) && semver.satisfies(version, range)));
+
+        if (inSync) continue;
+
+        const key = `${path} ${dependency}@${range}`;
+        if (drift.has(key)) {
+          drift.get(key).fields.push(field);
+        } else {
+          drift.set(key, { path, fields: [field], dependency, range, locked: entry ? [...entry.versions] : [] });
+        }
+      }
+    }
+  }
+
+  return [...drift.values()];
+}
+
+/**
+ * Packages resolved from git, local paths or tarball URLs outside the
+ * allowed registry hosts
+ *
+ * @returns {Array<{ name, version, source }>}
+ */
+export function findNonRegistrySources(lockfile, allowedHosts = []) {
+  const hosts = new Set([...DEFAULT_REGISTRY_HOSTS, ...allowedHosts]);
+  const seen = new Set();
+  const findings = [];
+
+  for (const { name, version, resolved } of lockfile.packages) {
+    const source = nonRegistrySource(lockfile.type, name, resolved, hosts);
+    const key = `${name}@${version}`;
+    if (!source || seen.has(key)) continue;
+
+    seen.add(key);
+    findings.push({ name, version, source });
+  }
+
+  return findings;
+}
+
+/**
+ * Registry hosts configured in .npmrc, .yarnrc and .yarnrc.yml
+ */
+export function configuredRegistryHosts(registryFiles) {
+  const hosts = [];
+
+  for (const file of registryFiles) {
+    for (const line of file.content.split(/\r?\n/)) {
+      const setting = line.trim().match(/^(?:@[^:\s]+:)?(?:registry|npmRegistryServer)\s*[=:\s]\s*["']?(https?:\/\/[^"'\s]+)/);
+      if (setting) {
+        try {
+          hosts.push(new URL(setting[1]).host);
+        } catch (error) {
+          // Not a URL; nothing to allow
+        }
+      }
+    }
+  }
+
+  return hosts;
+}
+
+/**
+ * Where a package was installed from, or null for a registry
+ */
+function nonRegistrySource(lockfileType, name, resolved, hosts) {
+  if (!resolved) return null;
+
+  // Yarn berry resolutions are descriptors: `name@npm:1.0.0`, `name@https://...`, `name@patch:...`
+  if (lockfileType === 'yarn-berry') {
+    const protocol = resolved.slice(name.length + 1);
+    if (protocol.startsWith('npm:') || protocol.startsWith('patch:')) return null;
+    return isRegistryURL(protocol, hosts) ? null : protocol;
+  }
+
+  return isRegistryURL(resolved, hosts) ? null : resolved;
+}
+
+function isRegistryURL(value, hosts) {
+  if (!/^https?:\/\//.test(value)) return false;
+
+  try {
+    return hosts.has(new URL(value).host);
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,420 @@
+/**
+ * Lockfile Parser for Frontend Auditor Agent
+ * Extracts the installed package versions from npm, yarn (v1 and berry)
+ * and pnpm lockfiles. Lockfiles are parsed incrementally, chunk by chunk,
+ * so large ones never have to be held in memory as a whole.
+ */
+
+export const LOCKFILE_NAMES = {
+  'package-lock.json': 'npm',
+  'npm-shrinkwrap.json': 'npm',
+  'yarn.lock': 'yarn',
+  'pnpm-lock.yaml': 'pnpm'
+};
+
+/**
+ * Parse a fetched lockfile into `{ type, path, packages: [{ name, version, resolved, integrity, specifiers }] }`
+ */
+export function parseLockfile(file) {
+  const parser = createLockfileParser(file.path);
+  parser.write(file.content);
+  return parser.end();
+}
+
+/**
+ * Parse a lockfile from an (async) iterable of text chunks, e.g. a file or
+ * HTTP response stream
+ */
+export async function parseLockfileStream(path, chunks) {
+  const parser = createLockfileParser(path);
+  for await (const chunk of chunks) {
+    parser.write(chunk);
+  }
+  return parser.end();
+}
+
+/**
+ * Incremental parser for a lockfile: `write(chunk)` any number of times,
+ * then `end()` returns the parsed lockfile
+ */
+export function createLockfileParser(path) {
+  const fileName = path.split('/').pop();
+
+  switch (LOCKFILE_NAMES[fileName]) {
+    case 'npm':
+      return new NpmLockfileParser(path);
+    case 'yarn':
+      return new YarnLockfileParser(path);
+    case 'pnpm':
+      return new PnpmLockfileParser(path);
+    default:
+      throw new Error(`Unsupported lockfile: ${path}`);
+  }
+}
+
+/**
+ * Feeds complete lines to `line()`, keeping a partial last line until the
+ * next chunk arrives
+ */
+class LineParser {
+  constructor(path) {
+    this.path = path;
+    this.remainder = '';
+  }
+
+  write(chunk) {
+    const lines = (this.remainder + chunk).split(/\r?\n/);
+    this.remainder = lines.pop();
+    lines.forEach(line => this.line(line));
+  }
+
+  end() {
+    if (this.remainder) this.line(this.remainder.replace(/\r$/, ''));
+    this.remainder = '';
+    return this.result();
+  }
+}
+
+/**
+ * yarn.lock, classic (blocks keyed by comma separated descriptors with
+ * `version "1.0.0"` fields) and berry (the same layout in YAML syntax,
+ * starting with `__metadata:`)
+ */
+class YarnLockfileParser extends LineParser {
+  constructor(path) {
+    super(path);
+    this.berry = false;
+    this.current = null;
+    this.packages = [];
+  }
+
+  line(line) {
+    if (!line.trim() || line.startsWith('#')) return;
+
+    if (!line.startsWith(' ')) {
+      this.finishEntry();
+      const key = line.replace(/:\s*$/, '');
+      if (key === '__metadata') {
+        this.berry = true;
+        return;
+      }
+      this.current = { descriptors: key.split(/,\s*/).map(unquote), fields: {} };
+      return;
+    }
+
+    // Only the block's own fields sit at two spaces of indentation
+    const field = this.current && line.match(/^ {2}(version|resolved|resolution|integrity|checksum):?\s+(.+)$/);
+    if (field) {
+      this.current.fields[field[1]] = unquote(field[2]);
+    }
+  }
+
+  finishEntry() {
+    const entry = this.current;
+    this.current = null;
+    if (!entry) return;
+
+    const specifiers = entry.descriptors.map(descriptor =>
+      descriptor.slice(descriptorName(descriptor).length + 1).replace(/^npm:/, '')
+    );
+
+    if (!this.berry) {
+      this.packages.push({
+        name: descriptorName(entry.descriptors[0]),
+        version: entry.fields.version,
+        resolved: entry.fields.resolved,
+        integrity: entry.fields.integrity,
+        specifiers
+      });
+      return;
+    }
+
+    const { resolution } = entry.fields;
+    // Workspaces and portals are not installed from a registry
+    if (!resolution || /@(workspace|portal|link):/.test(resolution)) return;
+
+    this.packages.push({
+      name: descriptorName(resolution),
+      version: entry.fields.version,
+      resolved: resolution,
+      integrity: entry.fields.checksum,
+      specifiers
+    });
+  }
+
+  result() {
+    this.finishEntry();
+    return { type: this.berry ? 'yarn-berry' : 'yarn', path: this.path, packages: this.packages };
+  }
+}
+
+/**
+ * pnpm-lock.yaml v5 (`/name/1.0.0`), v6 (`/name@1.0.0`) and v9 (`name@1.0.0`).
+ * Only the `packages` section is read; resolutions are either inline
+ * (`resolution: {integrity: ...}`) or a nested block.
+ */
+class PnpmLockfileParser extends LineParser {
+  constructor(path) {
+    super(path);
+    this.section = null;
+    this.current = null;
+    this.inResolution = false;
+    this.packages = [];
+  }
+
+  line(line) {
+    const text = line.trim();
+    if (!text || text.startsWith('#')) return;
+    const indent = line.length - line.trimStart().length;
+
+    if (indent === 0) {
+      this.finishEntry();
+      this.section = text.replace(/:.*$/, '');
+      return;
+    }
+    if (this.section !== 'packages') return;
+
+    if (indent === 2) {
+      this.finishEntry();
+      // Git and tarball keys (`github.com/owner/repo/<commit>`) carry name and version fields instead
+      const parsed = parsePnpmPackageKey(unquote(text.replace(/:$/, '')));
+      this.current = { name: undefined, version: undefined, ...parsed, resolution: {} };
+      return;
+    }
+    if (!this.current) return;
+
+    const field = text.match(/^([\w-]+):\s*(.*)$/);
+    if (!field) return;
+
+    if (indent === 4) {
+      const [, key, value] = field;
+      this.inResolution = key === 'resolution' && value === '';
+      if (key === 'resolution') {
+        for (const [, name, flowValue] of value.matchAll(/([\w-]+):\s*([^,}]+)/g)) {
+          this.current.resolution[name] = unquote(flowValue);
+        }
+      } else if (key === 'name' || key === 'version') {
+        this.current[key] = unquote(value);
+      }
+    } else if (indent === 6 && this.inResolution) {
+      this.current.resolution[field[1]] = unquote(field[2]);
+    }
+  }
+
+  finishEntry() {
+    const entry = this.current;
+    this.current = null;
+    this.inResolution = false;
+    if (!entry?.name) return;
+
+    const { resolution } = entry;
+    let resolved = resolution.tarball;
+    if (resolution.repo) {
+      resolved = `git+${resolution.repo}${resolution.commit ? `#${resolution.commit}` : ''}`;
+    } else if (resolution.directory) {
+      resolved = `file:${resolution.directory}`;
+    }
+
+    this.packages.push({
+      name: entry.name,
+      version: entry.version,
+      resolved,
+      integrity: resolution.integrity,
+      specifiers: []
+    });
+  }
+
+  result() {
+    this.finishEntry();
+    return { type: 'pnpm', path: this.path, packages: this.packages };
+  }
+}
+
+/**
+ * package-lock.json v1 (nested `dependencies`) and v2/v3 (flat `packages`)
+ */
+class NpmLockfileParser {
+  constructor(path) {
+    this.path = path;
+    this.flatEntries = new Map();
+    this.nestedEntries = new Map();
+    this.json = new StreamingJSONParser((path, value) => this.value(path, value));
+  }
+
+  write(chunk) {
+    this.json.write(chunk);
+  }
+
+  value(path, value) {
+    const field = path[path.length - 1];
+
+    // packages["node_modules/a/node_modules/b"].version
+    if (path[0] === 'packages' && path.length === 3) {
+      if (['name', 'version', 'resolved', 'integrity', 'link'].includes(field)) {
+        entryFor(this.flatEntries, path[1])[field] = value;
+      }
+      return;
+    }
+
+    // dependencies.a.dependencies.b.version
+    if (path[0] === 'dependencies' && path.length % 2 === 1 && ['version', 'resolved', 'integrity'].includes(field)) {
+      const entryPath = path.slice(0, -1);
+      if (entryPath.every((key, index) => index % 2 === 1 || key === 'dependencies')) {
+        const entry = entryFor(this.nestedEntries, entryPath.join('\0'));
+        entry.name = entryPath[entryPath.length - 1];
+        entry[field] = value;
+      }
+    }
+  }
+
+  end() {
+    this.json.end();
+
+    let packages;
+    if (this.flatEntries.size > 0) {
+      packages = [...this.flatEntries]
+        // Skip the root project, workspace folders and workspace symlinks
+        .filter(([installPath, entry]) => installPath.includes('node_modules/') && !entry.link)
+        .map(([installPath, entry]) => ({
+          ...entry,
+          name: entry.name || installPath.slice(installPath.lastIndexOf('node_modules/') + 'node_modules/'.length)
+        }));
+    } else {
+      packages = [...this.nestedEntries.values()];
+    }
+
+    return {
+      type: 'npm',
+      path: this.path,
+      packages: packages.map(({ name, version, resolved, integrity }) => ({ name, version, resolved, integrity, specifiers: [] }))
+    };
+  }
+}
+
+/**
+ * Minimal incremental JSON parser: reports every scalar value with its path
+ * (object keys and array indices) and keeps nothing else in memory
+ */
+class StreamingJSONParser {
+  constructor(onValue) {
+    this.onValue = onValue;
+    this.buffer = '';
+    this.stack = [];
+  }
+
+  write(chunk) {
+    this.buffer += chunk;
+    this.consume(false);
+  }
+
+  end() {
+    this.consume(true);
+    if (this.stack.length > 0 || this.buffer.trim()) {
+      throw new Error('Unexpected end of JSON input');
+    }
+  }
+
+  consume(final) {
+    const buffer = this.buffer;
+    let index = 0;
+
+    while (index < buffer.length) {
+      const char = buffer[index];
+      const top = this.stack[this.stack.length - 1];
+
+      if (char === ' ' || char === '\n' || char === '\r' || char === '\t' || char === ':') {
+        index++;
+      } else if (char === ',') {
+        if (top?.type === 'object') top.awaitingKey = true;
+        index++;
+      } else if (char === '{' || char === '[') {
+        this.beginValue();
+        this.stack.push({ type: char === '{' ? 'object' : 'array', key: null, index: -1, awaitingKey: char === '{' });
+        index++;
+      } else if (char === '}' || char === ']') {
+        this.stack.pop();
+        index++;
+      } else if (char === '"') {
+        const end = findStringEnd(buffer, index + 1);
+        if (end === -1) break;
+
+        const value = JSON.parse(buffer.slice(index, end + 1));
+        if (top?.type === 'object' && top.awaitingKey) {
+          top.key = value;
+          top.awaitingKey = false;
+        } else {
+          this.emit(value);
+        }
+        index = end + 1;
+      } else {
+        const token = buffer.slice(index).match(/^[\w.+-]+/);
+        if (!token) throw new Error(`Unexpected "${char}" in JSON`);
+        // A number may continue in the next chunk
+        if (index + token[0].length === buffer.length && !final) break;
+
+        this.emit(JSON.parse(token[0]));
+        index += token[0].length;
+      }
+    }
+
+    this.buffer = buffer.slice(index);
+  }
+
+  beginValue() {
+    const top = this.stack[this.stack.length - 1];
+    if (top?.type === 'array') top.index++;
+  }
+
+  emit(value) {
+    this.beginValue();
+    this.onValue(this.stack.map(frame => frame.type === 'object' ? frame.key : frame.index), value);
+  }
+}
+
+/**
+ * Index of the quote closing a JSON string, or -1 if it is not buffered yet
+ */
+function findStringEnd(buffer, start) {
+  for (let index = start; index < buffer.length; index++) {
+    if (buffer[index] === '\\') {
+      index++;
+    } else if (buffer[index] === '"') {
+      return index;
+    }
+  }
+  return -1;
+}
+
+function entryFor(entries, key) {
+  if (!entries.has(key)) entries.set(key, {});
+  return entries.get(key);
+}
+
+function parsePnpmPackageKey(key) {
+  // Drop peer dependency suffixes: `(react@18.2.0)` (v6+) or `_react@18.2.0` (v5)
+  const bare = key.replace(/^\//, '').replace(/\(.*$/, '');
+
+  const v5 = bare.match(/^((?:@[^/]+\/)?[^/@]+)\/(\d[^/]*)$/);
+  if (v5) {
+    return { name: v5[1], version: v5[2].replace(/_.*$/, '') };
+  }
+
+  const at = bare.indexOf('@', 1);
+  if (at > 0) {
+    return { name: bare.slice(0, at), version: bare.slice(at + 1) };
+  }
+
+  return null;
+}
+
+/**
+ * Package name of a descriptor such as `@scope/name@^1.0.0`
+ */
+function descriptorName(descriptor) {
+  const at = descriptor.indexOf('@', 1);
+  return at === -1 ? descriptor : descriptor.slice(0, at);
+}
+
+function unquote(value) {
+  return value.trim().replace(/^(["'])(.*)\1$/, '$2').replace(/^"|"$/g, '');
+}
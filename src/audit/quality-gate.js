@@ -0,0 +1,87 @@
+/**
+ * Quality Gate for Frontend Auditor Agent
+ * Decides whether an audit passes CI, from severity and compliance score
+ * thresholds set overall or per category
+ */
+
+import { SEVERITY_LEVELS } from '../config/mcp-config.js';
+
+const SEVERITY_ORDER = [
+  SEVERITY_LEVELS.INFO,
+  SEVERITY_LEVELS.LOW,
+  SEVERITY_LEVELS.MEDIUM,
+  SEVERITY_LEVELS.HIGH,
+  SEVERITY_LEVELS.CRITICAL
+];
+
+/**
+ * Evaluate the gate for an audit report
+ *
+ * @param {Object} auditReport - Audit report (after any baseline is applied)
+ * @param {Object} gate - `{ failOn, minScore, categories: { [category]: { failOn, minScore } } }`
+ * @returns {{ passed: boolean, failures: Array<{ category: string|null, reason: string }> }}
+ */
+export function evaluateQualityGate(auditReport, gate = {}) {
+  const failures = [];
+  const allIssues = Object.values(auditReport.categories).flatMap(category => category.issues);
+
+  if (gate.failOn) {
+    const count = countAtOrAbove(allIssues, gate.failOn);
+    if (count > 0) {
+      failures.push({ category: null, reason: `${count} issues at or above ${gate.failOn}` });
+    }
+  }
+
+  if (gate.minScore !== null && gate.minScore !== undefined && auditReport.summary.complianceScore < gate.minScore) {
+    failures.push({
+      category: null,
+      reason: `compliance score ${auditReport.summary.complianceScore}% is below ${gate.minScore}%`
+    });
+  }
+
+  for (const [category, threshold] of Object.entries(gate.categories || {})) {
+    const categoryData = auditReport.categories[category];
+    if (!categoryData) continue;
+
+    if (threshold.failOn) {
+      const count = countAtOrAbove(categoryData.issues, threshold.failOn);
+      if (count > 0) {
+        failures.push({ category, reason: `${count} issues at or above ${threshold.failOn}` });
+      }
+    }
+
+    if (threshold.minScore !== undefined && categoryData.score < threshold.minScore) {
+      failures.push({ category, reason: `score ${categoryData.score}% is below ${threshold.minScore}%` });
+    }
+  }
+
+  return { passed: failures.length === 0, failures };
+}
+
+/**
+ * One-line result for CI logs, e.g.
+ * `frontend-auditor: FAIL DTSL/dnd-editor@dev score=72% critical=1 high=3 medium=5 low=2 (Security & Compliance: 1 issues at or above high)`
+ */
+export function formatGateSummary(auditReport, gateResult) {
+  const { repository, summary } = auditReport;
+  const ref = repository.ref ? `@${repository.ref}` : '';
+  const counts = `critical=${summary.criticalIssues} high=${summary.highIssues} medium=${summary.mediumIssues} low=${summary.lowIssues}`;
+  const baseline = auditReport.baseline ? ` baselined=${auditReport.baseline.suppressedIssues}` : '';
+
+  let line = `frontend-auditor: ${gateResult.passed ? 'PASS' : 'FAIL'} ${repository.owner}/${repository.repo}${ref} ` +
+    `score=${summary.complianceScore}% ${counts}${baseline}`;
+
+  if (!gateResult.passed) {
+    const reasons = gateResult.failures.map(failure =>
+      failure.category ? `${failure.category}: ${failure.reason}` : failure.reason
+    );
+    line += ` (${reasons.join('; ')})`;
+  }
+
+  return line;
+}
+
+function countAtOrAbove(issues, minSeverity) {
+  const minIndex = SEVERITY_ORDER.indexOf(minSeverity);
+  return issues.filter(issue => SEVERITY_ORDER.indexOf(issue.severity) >= minIndex).length;
+}
@@ -0,0 +1,224 @@
+/**
+ * Repository Comparison for Frontend Auditor Agent
+ * Compares two fetched repositories: dependency versions across workspaces,
+ * root scripts, configuration file contents and audit scores
+ */
+
+import { createTwoFilesPatch } from 'diff';
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies'];
+
+/**
+ * Fetch, audit and compare two repositories. Both are audited against the
+ * same boilerplate and common config.
+ *
+ * @param {AuditEngine} auditEngine - Engine whose repository source serves both repositories
+ * @param {{ owner, repo, ref }} repo1
+ * @param {{ owner, repo, ref }} repo2
+ */
+export async function compareRepositories(auditEngine, repo1, repo2) {
+  const { source } = auditEngine;
+
+  return source.inResolutionScope(async () => {
+    const [data1, data2] = await Promise.all([
+      source.getRepositoryDataChunked(repo1.owner, repo1.repo, { ref: repo1.ref }),
+      source.getRepositoryDataChunked(repo2.owner, repo2.repo, { ref: repo2.ref })
+    ]);
+
+    const boilerplateData = await source.getBoilerplateTemplate();
+    const commonConfigData = await source.getCommonConfig();
+    const report1 = await auditEngine.runAudit({ targetData: data1, boilerplateData, commonConfigData });
+    const report2 = await auditEngine.runAudit({ targetData: data2, boilerplateData, commonConfigData });
+
+    return compareRepositoryData({ data: data1, report: report1 }, { data: data2, report: report2 });
+  });
+}
+
+/**
+ * Compare two already fetched and audited repositories
+ *
+ * @param {Object} left - `{ data, report }` for the first repository (data from getRepositoryDataChunked)
+ * @param {Object} right - `{ data, report }` for the second repository
+ */
+export function compareRepositoryData(left, right) {
+  const leftName = repositoryName(left.report);
+  const rightName = repositoryName(right.report);
+
+  return {
+    repository1: left.report.repository,
+    repository2: right.report.repository,
+    warnings: findSameCommitRefs(left.report.repository, right.report.repository),
+    scores: compareScores(left.report, right.report),
+    dependencies: compareDependencies(left.data.packageFiles, right.data.packageFiles),
+    scripts: compareScripts(left.data.packageFiles, right.data.packageFiles),
+    configFiles: compareConfigFiles(left.data.configFiles, right.data.configFiles, leftName, rightName)
+  };
+}
+
+/**
+ * Two different refs of one repository that resolve to the same commit
+ * would compare a commit with itself: both sides identical, no differences
+ *
+ * @returns {string[]} Warnings for the comparison
+ */
+export function findSameCommitRefs(left, right) {
+  const sameRepository = left.owner === right.owner && left.repo === right.repo;
+  if (!sameRepository || left.ref === right.ref || !left.sha || left.sha !== right.sha) return [];
+
+  return [
+    `${left.ref} and ${right.ref} of ${left.owner}/${left.repo} resolve to the same commit ${left.sha.slice(0, 7)}; both sides of the comparison are identical`
+  ];
+}
+
+/**
+ * Overall and per-category scores side by side
+ */
+export function compareScores(leftReport, rightReport) {
+  const categories = [...new Set([...Object.keys(leftReport.categories), ...Object.keys(rightReport.categories)])];
+
+  return {
+    complianceScore: {
+      repo1: leftReport.summary.complianceScore,
+      repo2: rightReport.summary.complianceScore
+    },
+    totalIssues: {
+      repo1: leftReport.summary.totalIssues,
+      repo2: rightReport.summary.totalIssues
+    },
+    categories: categories.map(category => ({
+      category,
+      repo1: leftReport.categories[category]?.score ?? null,
+      repo2: rightReport.categories[category]?.score ?? null
+    }))
+  };
+}
+
+/**
+ * Dependencies whose version ranges differ between the repositories, or
+ * that only one repository uses, across all workspaces
+ */
+export function compareDependencies(leftPackages, rightPackages) {
+  const left = collectDependencies(leftPackages);
+  const right = collectDependencies(rightPackages);
+  const names = [...new Set([...left.keys(), ...right.keys()])].sort();
+
+  const differences = [];
+  const onlyInRepo1 = [];
+  const onlyInRepo2 = [];
+
+  for (const name of names) {
+    const leftUsages = left.get(name);
+    const rightUsages = right.get(name);
+
+    if (!rightUsages) {
+      onlyInRepo1.push({ name, usages: leftUsages });
+    } else if (!leftUsages) {
+      onlyInRepo2.push({ name, usages: rightUsages });
+    } else {
+      const leftVersions = versionsOf(leftUsages);
+      const rightVersions = versionsOf(rightUsages);
+      if (leftVersions.join() !== rightVersions.join()) {
+        differences.push({ name, repo1: leftVersions, repo2: rightVersions, usages: { repo1: leftUsages, repo2: rightUsages } });
+      }
+    }
+  }
+
+  return { differences, onlyInRepo1, onlyInRepo2 };
+}
+
+/**
+ * Root scripts present in only one repository or with different commands
+ */
+export function compareScripts(leftPackages, rightPackages) {
+  const leftScripts = rootPackage(leftPackages)?.scripts || {};
+  const rightScripts = rootPackage(rightPackages)?.scripts || {};
+
+  const onlyInRepo1 = Object.keys(leftScripts).filter(name => !(name in rightScripts)).sort();
+  const onlyInRepo2 = Object.keys(rightScripts).filter(name => !(name in leftScripts)).sort();
+  const different = Object.keys(leftScripts)
+    .filter(name => name in rightScripts && leftScripts[name] !== rightScripts[name])
+    .sort()
+    .map(name => ({ name, repo1: leftScripts[name], repo2: rightScripts[name] }));
+
+  return { onlyInRepo1, onlyInRepo2, different };
+}
+
+/**
+ * Configuration files present in only one repository, and unified diffs of
+ * those whose content differs
+ */
+export function compareConfigFiles(leftFiles, rightFiles, leftName = 'repo1', rightName = 'repo2') {
+  const left = new Map(leftFiles.map(file => [file.path, file]));
+  const right = new Map(rightFiles.map(file => [file.path, file]));
+
+  const onlyInRepo1 = [...left.keys()].filter(path => !right.has(path)).sort();
+  const onlyInRepo2 = [...right.keys()].filter(path => !left.has(path)).sort();
+  const different = [...left.keys()]
+    .filter(path => right.has(path) && left.get(path).content !== right.get(path).content)
+    .sort()
+    .map(path => ({
+      path,
+      diff: createTwoFilesPatch(
+        `${leftName}/${path}`,
+        `${rightName}/${path}`,
+        left.get(path).content,
+        right.get(path).content,
+        '',
+        '',
+        { context: 3 }
+      )
+        .split('\n')
+        .filter(line => !line.startsWith('Index:') && !line.startsWith('===') && !line.startsWith('\\'))
+        .map(line => line.trimEnd())
+        .join('\n')
+        .trim()
+    }));
+
+  return { onlyInRepo1, onlyInRepo2, different };
+}
+
+/**
+ * dependency name -> [{ workspace, field, version }]
+ */
+function collectDependencies(packageFiles) {
+  const dependencies = new Map();
+
+  for (const file of packageFiles) {
+    let pkg;
+    try {
+      pkg = JSON.parse(file.content);
+    } catch (error) {
+      console.error(`Error parsing ${file.path}:`, error.message);
+      continue;
+    }
+
+    const workspace = pkg.name || file.path;
+    for (const field of DEPENDENCY_FIELDS) {
+      for (const [name, version] of Object.entries(pkg[field] || {})) {
+        if (!dependencies.has(name)) dependencies.set(name, []);
+        dependencies.get(name).push({ workspace, field, version });
+      }
+    }
+  }
+
+  return dependencies;
+}
+
+function versionsOf(usages) {
+  return [...new Set(usages.map(usage => usage.version))].sort();
+}
+
+function rootPackage(packageFiles) {
+  const file = packageFiles.find(f => f.path === 'package.json');
+  if (!file) return null;
+
+  try {
+    return JSON.parse(file.content);
+  } catch (error) {
+    return null;
+  }
+}
+
+function repositoryName(report) {
+  return `${report.repository.owner}/${report.repository.repo}`;
+}
@@ -0,0 +1,84 @@
+/**
+ * Rule Registry for Frontend Auditor Agent
+ * Holds the audit rule definitions and applies per-project overrides
+ * (disable a rule or change its severity)
+ */
+
+import { SEVERITY_LEVELS } from '../config/mcp-config.js';
+import { AUDIT_RULES } from './rules.js';
+
+const SEVERITIES = Object.values(SEVERITY_LEVELS);
+
+export class RuleRegistry {
+  /**
+   * @param {Array} rules - Rule definitions `{ id, category, severity, description }`
+   * @param {Object} overrides - `{ [ruleId]: 'off' | severity | { enabled, severity } }`
+   */
+  constructor(rules = AUDIT_RULES, overrides = {}) {
+    this.rules = new Map();
+    rules.forEach(rule => this.register(rule));
+    this.overrides = {};
+    this.configure(overrides);
+  }
+
+  /**
+   * Register a rule definition
+   */
+  register(rule) {
+    if (!rule.id || !rule.category || !SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Invalid rule definition: ${JSON.stringify(rule)}`);
+    }
+    if (this.rules.has(rule.id)) {
+      throw new Error(`Duplicate rule ID: ${rule.id}`);
+    }
+    this.rules.set(rule.id, rule);
+  }
+
+  /**
+   * Apply overrides, validating rule IDs and severities
+   */
+  configure(overrides = {}) {
+    for (const [id, value] of Object.entries(overrides)) {
+      if (!this.rules.has(id)) {
+        throw new Error(`Unknown rule "${id}" in rule overrides`);
+      }
+
+      const override = typeof value === 'string'
+        ? (value === 'off' ? { enabled: false } : { severity: value })
+        : { ...value };
+
+      if (override.severity !== undefined && !SEVERITIES.includes(override.severity)) {
+        throw new Error(
+          `Invalid severity "${override.severity}" for rule "${id}" (expected off or one of ${SEVERITIES.join(', ')})`
+        );
+      }
+
+      this.overrides[id] = override;
+    }
+  }
+
+  /**
+   * Effective rule after overrides: `{ ...rule, enabled, severity, severityOverridden }`
+   */
+  resolve(id) {
+    const rule = this.rules.get(id);
+    if (!rule) {
+      throw new Error(`Unknown rule: ${id}`);
+    }
+
+    const override = this.overrides[id] || {};
+    return {
+      ...rule,
+      enabled: override.enabled !== false,
+      severity: override.severity || rule.severity,
+      severityOverridden: Boolean(override.severity)
+    };
+  }
+
+  /**
+   * All rules with overrides applied
+   */
+  list() {
+    return [...this.rules.keys()].map(id => this.resolve(id));
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Audit Rules for Frontend Auditor Agent
+ * Every check the audit engine performs, with its stable ID, category and
+ * default severity. IDs are referenced by reports, baselines and the
+ * `rules` overrides of a project config, so never rename one.
+ */
+
+import { AUDIT_CATEGORIES, SEVERITY_LEVELS } from '../config/mcp-config.js';
+
+const { CRITICAL, HIGH, MEDIUM, LOW } = SEVERITY_LEVELS;
+
+export const AUDIT_RULES = [
+  // Repository Structure
+  { id: 'structure/root-package-json', category: AUDIT_CATEGORIES.STRUCTURE, severity: CRITICAL, description: 'Monorepo has a root package.json' },
+  { id: 'structure/workspaces', category: AUDIT_CATEGORIES.STRUCTURE, severity: HIGH, description: 'Root package.json declares workspaces' },
+  { id: 'structure/package-manager', category: AUDIT_CATEGORIES.STRUCTURE, severity: MEDIUM, description: 'Root package.json pins packageManager' },
+  { id: 'structure/engines', category: AUDIT_CATEGORIES.STRUCTURE, severity: MEDIUM, description: 'Root package.json declares engines' },
+  { id: 'structure/monorepo-layout', category: AUDIT_CATEGORIES.STRUCTURE, severity: HIGH, description: 'Workspaces live under apps/ or packages/' },
+  { id: 'structure/boilerplate-scripts', category: AUDIT_CATEGORIES.STRUCTURE, severity: LOW, description: 'Root scripts match the boilerplate' },
+
+  // Dependencies & Package Management
+  { id: 'deps/dtsl-jest-config', category: AUDIT_CATEGORIES.DEPENDENCIES, severity: MEDIUM, description: 'Uses @dtsl/jest-config' },
+  { id: 'deps/dtsl-eslint-config', category: AUDIT_CATEGORIES.DEPENDENCIES, severity: MEDIUM, description: 'Uses @dtsl/eslint-config' },
+  { id: 'deps/dtsl-prettier-config', category: AUDIT_CATEGORIES.DEPENDENCIES, severity: MEDIUM, description: 'Uses @dtsl/prettier-config' },
+  { id: 'deps/dtsl-typescript-config', category: AUDIT_CATEGORIES.DEPENDENCIES, severity: MEDIUM, description: 'Uses @dtsl/typescript-config' },
+  { id: 'deps/lodash-es', category: AUDIT_CATEGORIES.DEPENDENCIES, severity: LOW, description: 'Prefers lodash-es over lodash' },
+  { id: 'deps/version-mismatch', category: AUDIT_CATEGORIES.DEPENDENCIES, severity: MEDIUM, description: 'Each dependency uses the same range in every workspace' },
+  { id: 'deps/workspace-protocol', category: AUDIT_CATEGORIES.DEPENDENCIES, severity: MEDIUM, description: 'Internal packages are referenced with the workspace: protocol' },
+  { id: 'deps/react-dom-mismatch', category: AUDIT_CATEGORIES.DEPENDENCIES, severity: HIGH, description: 'react and react-dom ranges match in every workspace' },
+  { id: 'deps/duplicate-declaration', category: AUDIT_CATEGORIES.DEPENDENCIES, severity: LOW, description: 'No dependency is declared in both dependencies and devDependencies' },
+  { id: 'deps/policy-min-version', category: AUDIT_CATEGORIES.DEPENDENCIES, severity: HIGH, description: 'Dependencies meet the minimum versions of the dependency policy' },
+  { id: 'deps/policy-allowed-range', category: AUDIT_CATEGORIES.DEPENDENCIES, severity: MEDIUM, description: 'Dependency ranges stay within the ranges allowed by the dependency policy' },
+  { id: 'deps/policy-banned', category: AUDIT_CATEGORIES.DEPENDENCIES, severity: HIGH, description: 'No package banned by the dependency policy is used' },
+  { id: 'deps/policy-replacement', category: AUDIT_CATEGORIES.DEPENDENCIES, severity: LOW, description: 'Packages with a preferred replacement in the dependency policy are replaced' },
+  { id: 'deps/lockfile-missing', category: AUDIT_CATEGORIES.DEPENDENCIES, severity: HIGH, description: 'A lockfile is committed' },
+  { id: 'deps/mixed-package-managers', category: AUDIT_CATEGORIES.DEPENDENCIES, severity: MEDIUM, description: 'Only lockfiles of the package manager in use are committed' },
+  { id: 'deps/lockfile-duplicates', category: AUDIT_CATEGORIES.DEPENDENCIES, severity: MEDIUM, description: 'Heavy packages are installed at a single version' },
+  { id: 'deps/lockfile-drift', category: AUDIT_CATEGORIES.DEPENDENCIES, severity: HIGH, description: 'The lockfile satisfies every manifest range' },
+
+  // Build Configuration
+  { id: 'build/turbo-config', category: AUDIT_CATEGORIES.BUILD, severity: HIGH, description: 'Has a turbo.json' },
+  { id: 'build/typescript-config', category: AUDIT_CATEGORIES.BUILD, severity: MEDIUM, description: 'Has a tsconfig.json' },
+  { id: 'build/babel-config', category: AUDIT_CATEGORIES.BUILD, severity: MEDIUM, description: 'Has a Babel configuration' },
+  { id: 'build/turbo-config-drift', category: AUDIT_CATEGORIES.BUILD, severity: MEDIUM, description: 'turbo.json tasks match the boilerplate' },
+  { id: 'build/tsconfig-drift', category: AUDIT_CATEGORIES.BUILD, severity: MEDIUM, description: 'tsconfig.json compilerOptions match the boilerplate' },
+  { id: 'build/babel-presets-drift', category: AUDIT_CATEGORIES.BUILD, severity: MEDIUM, description: 'Babel presets match the boilerplate' },
+
+  // Code Quality & Standards
+  { id: 'quality/eslint-config', category: AUDIT_CATEGORIES.CODE_QUALITY, severity: HIGH, description: 'Has an ESLint configuration' },
+  { id: 'quality/prettier-config', category: AUDIT_CATEGORIES.CODE_QUALITY, severity: MEDIUM, description: 'Has a Prettier configuration' },
+  { id: 'quality/husky', category: AUDIT_CATEGORIES.CODE_QUALITY, severity: MEDIUM, description: 'Uses Husky for git hooks' },
+  { id: 'quality/lint-staged', category: AUDIT_CATEGORIES.CODE_QUALITY, severity: MEDIUM, description: 'Uses lint-staged for pre-commit linting' },
+
+  // Testing Setup
+  { id: 'testing/jest-config', category: AUDIT_CATEGORIES.TESTING, severity: HIGH, description: 'Has a Jest configuration' },
+  { id: 'testing/test-script', category: AUDIT_CATEGORIES.TESTING, severity: MEDIUM, description: 'Root package.json has a test script' },
+  { id: 'testing/ci-test-script', category: AUDIT_CATEGORIES.TESTING, severity: LOW, description: 'Root package.json has a test:ci script' },
+  { id: 'testing/jest-config-drift', category: AUDIT_CATEGORIES.TESTING, severity: LOW, description: 'Literal jest.config.js options match the boilerplate' },
+
+  // Documentation
+  { id: 'docs/root-readme', category: AUDIT_CATEGORIES.DOCUMENTATION, severity: HIGH, description: 'Has a root README.md' },
+  { id: 'docs/readme-sections', category: AUDIT_CATEGORIES.DOCUMENTATION, severity: LOW, description: 'Root README covers setup, scripts, architecture and ownership' },
+  { id: 'docs/workspace-readme', category: AUDIT_CATEGORIES.DOCUMENTATION, severity: LOW, description: 'Every workspace has a README.md' },
+  { id: 'docs/changelog', category: AUDIT_CATEGORIES.DOCUMENTATION, severity: MEDIUM, description: 'Published packages keep a CHANGELOG.md' },
+  { id: 'docs/codeowners', category: AUDIT_CATEGORIES.DOCUMENTATION, severity: MEDIUM, description: 'Has a CODEOWNERS file' },
+  { id: 'docs/broken-links', category: AUDIT_CATEGORIES.DOCUMENTATION, severity: LOW, description: 'Relative markdown links resolve' },
+
+  // Security & Compliance
+  { id: 'security/env-files', category: AUDIT_CATEGORIES.SECURITY, severity: CRITICAL, description: 'No .env files are committed' },
+  { id: 'security/hardcoded-secrets', category: AUDIT_CATEGORIES.SECURITY, severity: CRITICAL, description: 'No credentials in committed configuration' },
+  { id: 'security/insecure-registry', category: AUDIT_CATEGORIES.SECURITY, severity: HIGH, description: 'Registries are accessed over https' },
+  { id: 'security/strict-ssl-disabled', category: AUDIT_CATEGORIES.SECURITY, severity: HIGH, description: 'Registry TLS verification is enabled' },
+  { id: 'security/non-registry-source', category: AUDIT_CATEGORIES.SECURITY, severity: MEDIUM, description: 'Installed packages come from a package registry' },
+  // Reported with the advisory's own severity unless overridden
+  { id: 'security/vulnerabilities', category: AUDIT_CATEGORIES.SECURITY, severity: MEDIUM, description: 'Installed versions have no known advisories' },
+  { id: 'security/missing-override', category: AUDIT_CATEGORIES.SECURITY, severity: HIGH, description: 'Vulnerable transitive dependencies are pinned via overrides/resolutions' }
+];
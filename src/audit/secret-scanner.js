@@ -0,0 +1,47 @@
+/**
+ * Secret Scanner for Frontend Auditor Agent
+ * Finds hard-coded credentials in fetched configuration files
+ */
+
+const SECRET_PATTERNS = [
+  { type: 'GitHub token', regex: /\b(gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/ },
+  { type: 'npm token', regex: /\bnpm_[A-Za-z0-9]{36}\b/ },
+  { type: 'AWS access key', regex: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { type: 'Slack token', regex: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/ },
+  { type: 'Private key', regex: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----/ },
+  // `_authToken=...` in .npmrc, unless it references an environment variable
+  { type: 'Registry auth token', regex: /_(?:authToken|auth|password)\s*=\s*(?!\$\{)([^\s]{8,})/ },
+  {
+    type: 'Generic secret',
+    // The bounded key prefix keeps long minified lines from backtracking quadratically
+    regex: /["']?[\w-]{0,64}(?:api[_-]?key|secret|access[_-]?token|auth[_-]?token|password)["']?\s*[:=]\s*["']([^"'\s$]{12,})["']/i
+  }
+];
+
+/**
+ * Scan a file's content, returning `{ type, line, preview }` per finding
+ */
+export function scanForSecrets(file) {
+  const findings = [];
+
+  file.content.split(/\r?\n/).forEach((text, index) => {
+    for (const { type, regex } of SECRET_PATTERNS) {
+      const match = text.match(regex);
+      if (match) {
+        findings.push({ type, line: index + 1, preview: maskSecret(match[1] || match[0]) });
+        // One finding per line is enough to point at it
+        break;
+      }
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Keep just enough of a secret to recognise it in a report
+ */
+function maskSecret(secret) {
+  if (secret.startsWith('-----')) return secret;
+  return `${secret.slice(0, 4)}${'*'.repeat(Math.min(secret.length - 4, 12))}`;
+}
@@ -0,0 +1,123 @@
+/**
+ * Workspace Dependencies for Frontend Auditor Agent
+ * Consistency checks across every package.json of a monorepo: ranges that
+ * differ between workspaces, internal packages not linked through the
+ * workspace protocol, react/react-dom mismatches and duplicate declarations
+ */
+
+const VERSION_FIELDS = ['dependencies', 'devDependencies'];
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies'];
+
+/**
+ * Parse the manifests of a repository; unparseable files are skipped
+ *
+ * @returns {Array<{ path, name, pkg }>}
+ */
+export function parseWorkspaceManifests(packageFiles) {
+  return packageFiles.flatMap(file => {
+    try {
+      const pkg = JSON.parse(file.content);
+      return [{ path: file.path, name: pkg.name || file.path, pkg }];
+    } catch (error) {
+      console.error(`Error parsing ${file.path}:`, error.message);
+      return [];
+    }
+  });
+}
+
+/**
+ * Dependencies declared with different ranges in different workspaces.
+ * Peer ranges are intentionally broad and internal packages are checked by
+ * findNonWorkspaceReferences, so both are left out.
+ *
+ * @returns {Array<{ dependency, versions: Array<{ version, usages: Array<{ path, field }> }> }>}
+ */
+export function findVersionMismatches(manifests) {
+  const internal = internalPackageNames(manifests);
+  const ranges = new Map();
+
+  for (const { path, pkg } of manifests) {
+    for (const field of VERSION_FIELDS) {
+      for (const [dependency, version] of Object.entries(pkg[field] || {})) {
+        // Hand-written manifests may hold numbers or objects where a range belongs
+        if (typeof version !== 'string' || internal.has(dependency) || version.startsWith('workspace:')) continue;
+
+        if (!ranges.has(dependency)) ranges.set(dependency, new Map());
+        const versions = ranges.get(dependency);
+        if (!versions.has(version)) versions.set(version, []);
+        versions.get(version).push({ path, field });
+      }
+    }
+  }
+
+  return [...ranges]
+    .filter(([, versions]) => versions.size > 1)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([dependency, versions]) => ({
+      dependency,
+      // Most used range first
+      versions: [...versions]
+        .map(([version, usages]) => ({ version, usages }))
+        .sort((a, b) => b.usages.length - a.usages.length)
+    }));
+}
+
+/**
+ * Internal packages referenced by a range instead of `workspace:`, which may
+ * resolve to a published copy instead of the local package
+ *
+ * @returns {Array<{ path, field, dependency, version }>}
+ */
+export function findNonWorkspaceReferences(manifests) {
+  const internal = internalPackageNames(manifests);
+
+  return manifests.flatMap(({ path, pkg }) => DEPENDENCY_FIELDS.flatMap(field =>
+    Object.entries(pkg[field] || {})
+      .filter(([dependency, version]) => internal.has(dependency) && dependency !== pkg.name &&
+        typeof version === 'string' && !version.startsWith('workspace:'))
+      .map(([dependency, version]) => ({ path, field, dependency, version }))
+  ));
+}
+
+/**
+ * Workspaces whose react and react-dom ranges differ within a dependency
+ * field, or that declare react-dom without react
+ *
+ * @returns {Array<{ path, field, react, reactDom }>}
+ */
+export function findReactMismatches(manifests) {
+  return manifests.flatMap(({ path, pkg }) => {
+    const declared = field => pkg[field] || {};
+    const anyReact = DEPENDENCY_FIELDS.some(field => declared(field).react);
+
+    return DEPENDENCY_FIELDS
+      .filter(field => declared(field)['react-dom'] && (
+        (declared(field).react && declared(field).react !== declared(field)['react-dom']) || !anyReact
+      ))
+      .map(field => ({ path, field, react: declared(field).react ?? null, reactDom: declared(field)['react-dom'] }));
+  });
+}
+
+/**
+ * Dependencies declared in both dependencies and devDependencies of the
+ * same manifest
+ *
+ * @returns {Array<{ path, dependency, dependencies, devDependencies }>}
+ */
+export function findDuplicateDeclarations(manifests) {
+  return manifests.flatMap(({ path, pkg }) => Object.keys(pkg.dependencies || {})
+    .filter(dependency => pkg.devDependencies?.[dependency] !== undefined)
+    .map(dependency => ({
+      path,
+      dependency,
+      dependencies: pkg.dependencies[dependency],
+      devDependencies: pkg.devDependencies[dependency]
+    })));
+}
+
+/**
+ * Names of the workspace packages (every manifest except the root)
+ */
+export function internalPackageNames(manifests) {
+  return new Set(manifests.filter(({ path, pkg }) => path !== 'package.json' && pkg.name).map(({ pkg }) => pkg.name));
+}
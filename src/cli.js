@@ -9,11 +9,26 @@ import chalk from 'chalk';
 import ora from 'ora';
 import { table } from 'table';
 import { GitHubMCPClient } from './services/github-mcp-client.js';
+import { LocalRepositorySource } from './services/local-repository-source.js';
 import { AuditEngine } from './audit/audit-engine.js';
 import { ReportGenerator } from './reports/report-generator.js';
+import { AdvisoryDatabase } from './audit/advisory-database.js';
+import { RuleRegistry } from './audit/rule-registry.js';
+import { AutoFixer, applyChanges } from './fixes/auto-fixer.js';
+import { RemediationPullRequest } from './fixes/remediation.js';
+import { createBaseline, loadBaseline, saveBaseline } from './audit/baseline.js';
+import { evaluateQualityGate, formatGateSummary } from './audit/quality-gate.js';
+import { HistoryStore, compareRuns } from './services/history-store.js';
+import { FleetAuditor, loadRepositoryList, matchesNamePattern, parseRepositorySpec } from './audit/fleet-auditor.js';
+import { compareRepositories } from './audit/repository-comparison.js';
+import { AuditorMCPServer, serveStdio } from './mcp/auditor-server.js';
+import { FrontendAuditorAgent } from './index.js';
+import { loadProjectConfig, mergeConfig, validateConfig } from './config/config-loader.js';
 
 const program = new Command();
 
+const DEFAULT_BASELINE_FILE = '.auditor-baseline.json';
+
 program
   .name('frontend-auditor')
   .description('AI-powered frontend auditor agent for DTSL monorepo standards compliance')
@@ -22,55 +37,106 @@ program
 program
   .command('audit')
   .description('Audit a repository against DTSL standards')
-  .requiredOption('-o, --owner <owner>', 'Repository owner')
-  .requiredOption('-r, --repo <repo>', 'Repository name')
+  .option('-o, --owner <owner>', 'Repository owner')
+  .option('-r, --repo <repo>', 'Repository name')
   .option('-t, --token <token>', 'GitHub access token (can also use GITHUB_TOKEN env var)')
-  .option('--format <format>', 'Output format (json|table|markdown)', 'table')
+  .option('--ref <ref>', 'Branch, tag or commit SHA to audit (default: configured branch, else the default branch)')
+  .option('-p, --path <dir>', 'Audit a local directory instead of a GitHub repository')
+  .option('--boilerplate <dir>', 'Local boilerplate template directory (with --path)')
+  .option('--common-config <dir>', 'Local common config directory (with --path)')
+  .option('--advisories <file>', 'Advisory database export (npm audit JSON or OSV) to check lockfiles against')
+  .option('--policy <file>', 'Dependency version policy (YAML/JSON; default: dependency-policy.json in the common config)')
+  .option('--format <format>', 'Output format (table|json|markdown|html|sarif|junit|executive)', 'table')
   .option('--output <file>', 'Output file path')
   .option('--severity <level>', 'Minimum severity level (critical|high|medium|low)', 'low')
+  .option('--baseline <file>', 'Only report issues missing from this baseline file')
+  .option('--write-baseline [file]', 'Write the current issues to a baseline file (default: .auditor-baseline.json)')
+  .option('--history <file>', 'Audit history file (default: .auditor-history.json)')
+  .option('--no-history', 'Do not record this audit in the history')
+  .option('--fail-on <severity>', 'Exit with code 2 when an issue at or above this severity is found')
+  .option('--min-score <n>', 'Exit with code 2 when the compliance score is below this value')
+  .option('-c, --config <file>', 'Project config file (default: nearest .auditorrc or auditor.config.js)')
+  .option('--boilerplate-repo <owner/repo>', 'GitHub repository of the boilerplate template')
+  .option('--common-config-repo <owner/repo>', 'GitHub repository of the common config')
+  .option('--max-file-size <bytes>', 'Skip files larger than this many bytes')
+  .option('--max-files-per-batch <n>', 'Number of files fetched per batch')
+  .option('--requests-per-minute <n>', 'GitHub API request budget per minute')
+  .option('--api-url <url>', 'GitHub API URL (GitHub Enterprise or a mock server)')
+  .option('--cache <dir>', 'Content cache directory (default: .auditor-cache)')
+  .option('--no-cache', 'Fetch everything from GitHub instead of revalidating the content cache')
+  .option('--rule <id=severity>', 'Override a rule severity, or "off" to disable it (repeatable)', collect, [])
   .action(async (options) => {
+    const reportOnStdout = options.format !== 'table' && !options.output;
+    if (reportOnStdout) {
+      redirectLogsToStderr();
+    }
     const spinner = ora('Initializing audit...').start();
     
     try {
-      // Get GitHub token
-      const token = options.token || process.env.GITHUB_TOKEN;
-      if (!token) {
-        spinner.fail('GitHub token is required. Use --token option or set GITHUB_TOKEN environment variable.');
-        process.exit(1);
+      const { config, projectConfig, filePath } = await resolveConfig(options);
+      if (filePath) {
+        spinner.info(`Using config ${filePath}`);
+        spinner.start('Initializing audit...');
       }
 
-      // Initialize services
-      spinner.text = 'Connecting to GitHub...';
-      const githubClient = new GitHubMCPClient(token);
-      const auditEngine = new AuditEngine(githubClient);
+      const { source, owner, repo } = createRepositorySource(options, config, projectConfig, spinner);
+      const advisoryDatabase = options.advisories
+        ? await AdvisoryDatabase.load(options.advisories)
+        : null;
+      const auditEngine = new AuditEngine(source, { advisoryDatabase });
       const reportGenerator = new ReportGenerator();
 
       // Run audit
-      spinner.text = `Auditing ${options.owner}/${options.repo}...`;
-      const auditReport = await auditEngine.auditRepository(options.owner, options.repo);
+      spinner.text = `Auditing ${owner}/${repo}...`;
+      let auditReport = await auditEngine.auditRepository(owner, repo, { ref: options.ref });
 
-      spinner.succeed(`Audit completed! Found ${auditReport.summary.totalIssues} issues.`);
+      // Record every full audit (before any baseline filtering) for trends
+      if (options.history !== false) {
+        const historyStore = new HistoryStore(config.history.path, { maxRuns: config.history.maxRuns });
+        auditReport.history = await historyStore.record(auditReport);
+      }
+
+      if (options.writeBaseline) {
+        const baselinePath = options.writeBaseline === true ? DEFAULT_BASELINE_FILE : options.writeBaseline;
+        const baseline = createBaseline(auditReport);
+        await saveBaseline(baseline, baselinePath);
+        spinner.info(`Baseline with ${baseline.issues.length} entries written to ${baselinePath}`);
+      }
+
+      if (options.baseline) {
+        auditReport = auditEngine.applyBaseline(auditReport, await loadBaseline(options.baseline));
+        spinner.succeed(`Audit completed! Found ${auditReport.summary.totalIssues} new issues (${auditReport.baseline.suppressedIssues} in baseline).`);
+      } else {
+        spinner.succeed(`Audit completed! Found ${auditReport.summary.totalIssues} issues.`);
+      }
+      if (source.cache) {
+        spinner.info(source.cache.formatStats());
+      }
 
       // Generate and display report
-      if (options.format === 'json') {
-        const jsonReport = reportGenerator.generateJSON(auditReport);
-        if (options.output) {
-          await reportGenerator.saveReport(jsonReport, options.output);
-          console.log(`Report saved to ${options.output}`);
-        } else {
-          console.log(jsonReport);
+      if (options.format === 'table') {
+        displayTableReport(auditReport, options.severity);
+      } else {
+        const generate = reportGenerator.reportTemplates[options.format];
+        if (!generate) {
+          throw new Error(`Unsupported format: ${options.format} (expected table, ${Object.keys(reportGenerator.reportTemplates).join(', ')})`);
         }
-      } else if (options.format === 'markdown') {
-        const markdownReport = reportGenerator.generateMarkdown(auditReport);
+
+        const report = generate(auditReport);
         if (options.output) {
-          await reportGenerator.saveReport(markdownReport, options.output);
+          await reportGenerator.saveReport(report, options.output);
           console.log(`Report saved to ${options.output}`);
         } else {
-          console.log(markdownReport);
+          printReport(report);
         }
-      } else {
-        // Table format (default)
-        displayTableReport(auditReport, options.severity);
+      }
+
+      // CI gate: one summary line, and exit code 2 when a threshold is exceeded
+      const gateResult = evaluateQualityGate(auditReport, config.gate);
+      const summaryLine = formatGateSummary(auditReport, gateResult);
+      console.log(gateResult.passed ? chalk.green(summaryLine) : chalk.red(summaryLine));
+      if (!gateResult.passed) {
+        process.exitCode = 2;
       }
 
     } catch (error) {
@@ -80,6 +146,399 @@ program
     }
   });
 
+program
+  .command('fix')
+  .description('Fix issues that can be derived from the boilerplate (patch, or apply to a local checkout)')
+  .option('-o, --owner <owner>', 'Repository owner')
+  .option('-r, --repo <repo>', 'Repository name')
+  .option('-t, --token <token>', 'GitHub access token (can also use GITHUB_TOKEN env var)')
+  .option('--ref <ref>', 'Branch, tag or commit SHA to fix (default: configured branch, else the default branch)')
+  .option('-p, --path <dir>', 'Local checkout to fix; changes are written unless --dry-run or --output is given')
+  .option('--boilerplate <dir>', 'Local boilerplate template directory (with --path)')
+  .option('--common-config <dir>', 'Local common config directory (with --path)')
+  .option('--dry-run', 'Print the patch instead of writing changes')
+  .option('--output <file>', 'Write the patch to a file instead of applying it')
+  .option('--severity <level>', 'Minimum severity of issues to fix (critical|high|medium|low)', 'low')
+  .option('-c, --config <file>', 'Project config file (default: nearest .auditorrc or auditor.config.js)')
+  .option('--boilerplate-repo <owner/repo>', 'GitHub repository of the boilerplate template')
+  .option('--common-config-repo <owner/repo>', 'GitHub repository of the common config')
+  .option('--api-url <url>', 'GitHub API URL (GitHub Enterprise or a mock server)')
+  .option('--rule <id=severity>', 'Override a rule severity, or "off" to disable it (repeatable)', collect, [])
+  .action(async (options) => {
+    const patchOnStdout = !options.output && (options.dryRun || !options.path);
+    if (patchOnStdout) {
+      redirectLogsToStderr();
+    }
+    const spinner = ora('Initializing fix...').start();
+
+    try {
+      const { config, projectConfig } = await resolveConfig(options);
+      const { source, owner, repo } = createRepositorySource(options, config, projectConfig, spinner);
+      const auditEngine = new AuditEngine(source);
+      const reportGenerator = new ReportGenerator();
+
+      spinner.text = `Auditing ${owner}/${repo}...`;
+      const { auditData, auditReport } = await fetchAndAudit(auditEngine, owner, repo, options.ref);
+
+      const issues = Object.values(auditReport.categories)
+        .flatMap(category => category.issues)
+        .filter(issue => issue.fixable && shouldIncludeIssue(issue.severity, options.severity));
+      const { changes, fixedIssues, patch } = new AutoFixer(auditData.targetData, auditData.boilerplateData)
+        .generateFixes(issues);
+
+      if (changes.length === 0) {
+        spinner.succeed('Nothing to fix.');
+        return;
+      }
+
+      spinner.succeed(`Generated fixes for ${fixedIssues.length} issues in ${changes.length} files.`);
+      fixedIssues.forEach(issue => console.log(`  ${chalk.green('✓')} ${issue.ruleId}: ${issue.message}`));
+
+      if (options.output) {
+        await reportGenerator.saveReport(patch, options.output);
+        console.log(`Patch saved to ${options.output}`);
+      }
+
+      if (patchOnStdout) {
+        printReport(patch);
+      } else if (!options.output) {
+        await applyChanges(changes, options.path);
+        console.log(chalk.green(`Applied changes to ${changes.map(change => change.path).join(', ')}`));
+      }
+
+    } catch (error) {
+      spinner.fail(`Fix failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('pr')
+  .description('Open a pull request with the fixable changes and the audit report')
+  .option('-o, --owner <owner>', 'Repository owner')
+  .option('-r, --repo <repo>', 'Repository name')
+  .option('-t, --token <token>', 'GitHub access token (can also use GITHUB_TOKEN env var)')
+  .option('--ref <ref>', 'Branch to audit and fix (default: configured branch, else the default branch)')
+  .option('--base <branch>', 'Base branch of the pull request (default: the audited ref)')
+  .option('--branch <name>', 'Branch to create (default: frontend-auditor/remediation-<sha>)')
+  .option('--title <title>', 'Pull request title')
+  .option('--draft', 'Open the pull request as a draft')
+  .option('--severity <level>', 'Minimum severity of issues to fix and report (critical|high|medium|low)', 'low')
+  .option('--dry-run', 'Print the patch and pull request body without changing anything')
+  .option('-c, --config <file>', 'Project config file (default: nearest .auditorrc or auditor.config.js)')
+  .option('--boilerplate-repo <owner/repo>', 'GitHub repository of the boilerplate template')
+  .option('--common-config-repo <owner/repo>', 'GitHub repository of the common config')
+  .option('--api-url <url>', 'GitHub API URL (GitHub Enterprise or a mock server)')
+  .option('--rule <id=severity>', 'Override a rule severity, or "off" to disable it (repeatable)', collect, [])
+  .action(async (options) => {
+    if (options.dryRun) {
+      redirectLogsToStderr();
+    }
+    const spinner = ora('Initializing remediation...').start();
+
+    try {
+      const { config, projectConfig } = await resolveConfig(options);
+      const { source, owner, repo } = createRepositorySource(options, config, projectConfig, spinner);
+      const auditEngine = new AuditEngine(source);
+      const remediation = new RemediationPullRequest(source);
+
+      spinner.text = `Auditing ${owner}/${repo}...`;
+      const { auditData, auditReport } = await fetchAndAudit(auditEngine, owner, repo, options.ref);
+
+      if (options.dryRun) {
+        const plan = remediation.plan(auditData, auditReport, options);
+        if (plan.changes.length === 0) {
+          spinner.succeed('Nothing to fix at the selected severity; no pull request would be opened.');
+          return;
+        }
+        spinner.succeed(`Would open "${plan.title}" from ${plan.branch} into ${plan.base} (${plan.changes.length} files).`);
+        printReport(`${plan.patch}\n${plan.body}`);
+        return;
+      }
+
+      spinner.text = 'Opening pull request...';
+      const pullRequest = await remediation.open(auditData, auditReport, options);
+      spinner.succeed(`Opened pull request #${pullRequest.number}: ${pullRequest.url}`);
+      pullRequest.plan.fixedIssues.forEach(issue => console.log(`  ${chalk.green('✓')} ${issue.ruleId}: ${issue.message}`));
+
+    } catch (error) {
+      spinner.fail(`Remediation failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('fleet')
+  .description('Audit many repositories and rank them by compliance score')
+  .argument('[repositories...]', 'Repositories to audit (owner/repo or owner/repo@ref)')
+  .option('-f, --file <file>', 'File listing repositories (YAML/JSON array or one per line)')
+  .option('--org <org>', 'Audit the repositories of a GitHub organization')
+  .option('--topic <topic>', 'Only organization repositories with this topic (with --org)')
+  .option('--name <pattern>', 'Only repositories whose name matches this glob, e.g. "fe-*"')
+  .option('--include-archived', 'Include archived organization repositories (with --org)')
+  .option('--concurrency <n>', 'Repositories audited at the same time (default: 3)')
+  .option('-t, --token <token>', 'GitHub access token (can also use GITHUB_TOKEN env var)')
+  .option('--format <format>', 'Output format (table|json|markdown)', 'table')
+  .option('--output <file>', 'Output file path')
+  .option('-c, --config <file>', 'Project config file (default: nearest .auditorrc or auditor.config.js)')
+  .option('--boilerplate-repo <owner/repo>', 'GitHub repository of the boilerplate template')
+  .option('--common-config-repo <owner/repo>', 'GitHub repository of the common config')
+  .option('--api-url <url>', 'GitHub API URL (GitHub Enterprise or a mock server)')
+  .option('--cache <dir>', 'Content cache directory (default: .auditor-cache)')
+  .option('--no-cache', 'Fetch everything from GitHub instead of revalidating the content cache')
+  .option('--policy <file>', 'Dependency version policy (YAML/JSON; default: dependency-policy.json in the common config)')
+  .option('--rule <id=severity>', 'Override a rule severity, or "off" to disable it (repeatable)', collect, [])
+  .action(async (repositoryArgs, options) => {
+    if (options.format !== 'table' && !options.output) {
+      redirectLogsToStderr();
+    }
+    const spinner = ora('Initializing fleet audit...').start();
+
+    try {
+      const { config } = await resolveConfig(options);
+      const token = options.token || process.env.GITHUB_TOKEN;
+      if (!token) {
+        spinner.fail('GitHub token is required. Use --token option or set GITHUB_TOKEN environment variable.');
+        process.exit(1);
+      }
+      const source = new GitHubMCPClient(token, config);
+
+      // Repositories from arguments, a list file, an organization or the project config
+      let repositories = repositoryArgs.map(parseRepositorySpec);
+      if (options.file) {
+        repositories.push(...await loadRepositoryList(options.file));
+      }
+      if (options.org) {
+        spinner.text = `Listing repositories of ${options.org}...`;
+        const orgRepositories = await source.listOrganizationRepositories(options.org);
+        repositories.push(...orgRepositories
+          .filter(repository => options.includeArchived || !repository.archived)
+          .filter(repository => !options.topic || repository.topics.includes(options.topic))
+          .map(({ owner, repo }) => ({ owner, repo })));
+      }
+      if (repositoryArgs.length === 0 && !options.file && !options.org) {
+        repositories = config.fleet.repositories.map(parseRepositorySpec);
+      }
+      if (options.name) {
+        repositories = repositories.filter(repository => matchesNamePattern(repository.repo, options.name));
+      }
+
+      if (repositories.length === 0) {
+        spinner.fail('No repositories to audit. Pass owner/repo arguments, --file, --org or set fleet.repositories in .auditorrc.');
+        process.exit(1);
+      }
+
+      const concurrency = Number(options.concurrency ?? config.fleet.concurrency);
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error('--concurrency must be a positive integer');
+      }
+
+      const fleetAuditor = new FleetAuditor(new AuditEngine(source), { concurrency });
+      spinner.text = `Auditing ${repositories.length} repositories (${concurrency} at a time)...`;
+      const fleetReport = await fleetAuditor.auditFleet(repositories, (result, completed, total) => {
+        spinner.text = `Audited ${completed}/${total} repositories (last: ${result.owner}/${result.repo})...`;
+      });
+
+      spinner.succeed(`Fleet audit completed! ${fleetReport.summary.audited} audited, ${fleetReport.summary.failed} failed.`);
+      if (source.cache) {
+        spinner.info(source.cache.formatStats());
+      }
+
+      const reportGenerator = new ReportGenerator();
+      if (options.format === 'table') {
+        displayFleetReport(fleetReport);
+        return;
+      }
+
+      const report = options.format === 'json'
+        ? JSON.stringify(fleetReport, null, 2)
+        : reportGenerator.generateFleetMarkdown(fleetReport);
+      if (options.output) {
+        await reportGenerator.saveReport(report, options.output);
+        console.log(`Report saved to ${options.output}`);
+      } else {
+        printReport(report);
+      }
+
+    } catch (error) {
+      spinner.fail(`Fleet audit failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('compare')
+  .description('Compare two repositories: dependency versions, scripts, config files and audit scores')
+  .argument('<repo1>', 'First repository (owner/repo or owner/repo@ref)')
+  .argument('<repo2>', 'Second repository (owner/repo or owner/repo@ref)')
+  .option('-t, --token <token>', 'GitHub access token (can also use GITHUB_TOKEN env var)')
+  .option('--format <format>', 'Output format (table|json|markdown)', 'table')
+  .option('--output <file>', 'Output file path')
+  .option('-c, --config <file>', 'Project config file (default: nearest .auditorrc or auditor.config.js)')
+  .option('--boilerplate-repo <owner/repo>', 'GitHub repository of the boilerplate template')
+  .option('--common-config-repo <owner/repo>', 'GitHub repository of the common config')
+  .option('--api-url <url>', 'GitHub API URL (GitHub Enterprise or a mock server)')
+  .option('--cache <dir>', 'Content cache directory (default: .auditor-cache)')
+  .option('--no-cache', 'Fetch everything from GitHub instead of revalidating the content cache')
+  .option('--policy <file>', 'Dependency version policy (YAML/JSON; default: dependency-policy.json in the common config)')
+  .option('--rule <id=severity>', 'Override a rule severity, or "off" to disable it (repeatable)', collect, [])
+  .action(async (repo1, repo2, options) => {
+    if (options.format !== 'table' && !options.output) {
+      redirectLogsToStderr();
+    }
+    const spinner = ora('Initializing comparison...').start();
+
+    try {
+      const { config } = await resolveConfig(options);
+      const token = options.token || process.env.GITHUB_TOKEN;
+      if (!token) {
+        spinner.fail('GitHub token is required. Use --token option or set GITHUB_TOKEN environment variable.');
+        process.exit(1);
+      }
+
+      const repository1 = parseRepositorySpec(repo1);
+      const repository2 = parseRepositorySpec(repo2);
+      const source = new GitHubMCPClient(token, config);
+      const auditEngine = new AuditEngine(source);
+
+      spinner.text = `Comparing ${repo1} with ${repo2}...`;
+      const comparison = await compareRepositories(auditEngine, repository1, repository2);
+      spinner.succeed('Comparison completed!');
+      comparison.warnings.forEach(warning => spinner.warn(warning));
+      if (source.cache) {
+        spinner.info(source.cache.formatStats());
+      }
+
+      const reportGenerator = new ReportGenerator();
+      if (options.format === 'table') {
+        displayComparison(comparison);
+        return;
+      }
+
+      const report = options.format === 'json'
+        ? JSON.stringify(comparison, null, 2)
+        : reportGenerator.generateComparisonMarkdown(comparison);
+      if (options.output) {
+        await reportGenerator.saveReport(report, options.output);
+        console.log(`Report saved to ${options.output}`);
+      } else {
+        printReport(report);
+      }
+
+    } catch (error) {
+      spinner.fail(`Comparison failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('history')
+  .description('Show recorded audits of a repository with score trends')
+  .option('-o, --owner <owner>', 'Repository owner')
+  .option('-r, --repo <repo>', 'Repository name')
+  .option('--history <file>', 'Audit history file (default: .auditor-history.json)')
+  .option('--limit <n>', 'Number of most recent audits to show', '20')
+  .option('--format <format>', 'Output format (table|json|markdown)', 'table')
+  .option('-c, --config <file>', 'Project config file (default: nearest .auditorrc or auditor.config.js)')
+  .action(async (options) => {
+    if (options.format !== 'table') {
+      redirectLogsToStderr();
+    }
+    try {
+      const { config, projectConfig } = await resolveConfig(options);
+      const historyStore = new HistoryStore(config.history.path, { maxRuns: config.history.maxRuns });
+      await historyStore.load();
+
+      const repositories = historyStore.getRepositories();
+      const owner = options.owner || projectConfig.repositories?.target?.owner;
+      const repo = options.repo || projectConfig.repositories?.target?.repo;
+      let repository = owner && repo ? `${owner}/${repo}` : null;
+      if (!repository) {
+        if (repositories.length !== 1) {
+          throw new Error(repositories.length === 0
+            ? `No audits recorded in ${config.history.path}`
+            : `--owner and --repo are required; ${config.history.path} has audits of ${repositories.join(', ')}`);
+        }
+        repository = repositories[0];
+      }
+
+      const runs = historyStore.getRuns(repository).slice(-Number(options.limit));
+
+      if (options.format === 'json') {
+        printReport(JSON.stringify({ repository, runs }, null, 2));
+      } else if (options.format === 'markdown') {
+        printReport(new ReportGenerator().generateHistoryMarkdown(repository, runs));
+      } else {
+        displayHistory(repository, runs);
+      }
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('rules')
+  .description('List audit rules with their IDs, categories and severities')
+  .option('-c, --config <file>', 'Project config file (default: nearest .auditorrc or auditor.config.js)')
+  .option('--rule <id=severity>', 'Override a rule severity, or "off" to disable it (repeatable)', collect, [])
+  .action(async (options) => {
+    try {
+      const { config } = await resolveConfig(options);
+      const registry = new RuleRegistry(undefined, config.rules);
+      const ruleData = [['Rule', 'Category', 'Severity', 'Description']];
+
+      registry.list().forEach(rule => {
+        ruleData.push([
+          rule.id,
+          rule.category,
+          rule.enabled ? getSeverityColor(rule.severity) : chalk.gray('OFF'),
+          rule.description
+        ]);
+      });
+
+      console.log(table(ruleData));
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('mcp')
+  .description('Serve the auditor over the Model Context Protocol (stdio) for MCP clients')
+  .option('-t, --token <token>', 'GitHub access token (can also use GITHUB_TOKEN env var)')
+  .option('-c, --config <file>', 'Project config file (default: nearest .auditorrc or auditor.config.js)')
+  .option('--advisories <file>', 'Advisory database export (npm audit JSON or OSV) to check lockfiles against')
+  .option('--policy <file>', 'Dependency version policy (YAML/JSON; default: dependency-policy.json in the common config)')
+  .option('--boilerplate-repo <owner/repo>', 'GitHub repository of the boilerplate template')
+  .option('--common-config-repo <owner/repo>', 'GitHub repository of the common config')
+  .option('--api-url <url>', 'GitHub API URL (GitHub Enterprise or a mock server)')
+  .option('--cache <dir>', 'Content cache directory (default: .auditor-cache)')
+  .option('--no-cache', 'Fetch everything from GitHub instead of revalidating the content cache')
+  .option('--rule <id=severity>', 'Override a rule severity, or "off" to disable it (repeatable)', collect, [])
+  .action(async (options) => {
+    // stdout carries the protocol: no spinner, messages go to stderr
+    try {
+      const { config } = await resolveConfig(options);
+      const token = options.token || process.env.GITHUB_TOKEN;
+      if (!token) {
+        console.error(chalk.red('GitHub token is required. Use --token option or set GITHUB_TOKEN environment variable.'));
+        process.exit(1);
+      }
+
+      const advisoryDatabase = options.advisories
+        ? await AdvisoryDatabase.load(options.advisories)
+        : null;
+      const agent = new FrontendAuditorAgent(token, { config, advisoryDatabase });
+      await serveStdio(new AuditorMCPServer(agent));
+      console.error(chalk.green('Frontend auditor MCP server listening on stdio'));
+    } catch (error) {
+      console.error(chalk.red(`MCP server failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 program
   .command('setup')
   .description('Setup MCP configuration for GitHub repositories')
@@ -98,15 +557,185 @@ program
     
     console.log('# Filter by severity');
     console.log('frontend-auditor audit --owner DTSL --repo dnd-editor --severity high\n');
+
+    console.log('# Fail a CI job on critical issues or a score below 80');
+    console.log('frontend-auditor audit --owner DTSL --repo dnd-editor --fail-on critical --min-score 80\n');
+
+    console.log('# Audit every repository of an organization tagged "frontend"');
+    console.log('frontend-auditor fleet --org DTSL --topic frontend --format markdown --output fleet.md\n');
+
+    console.log('# Check lockfiles against an exported advisory database');
+    console.log('npm audit --json > advisories.json');
+    console.log('frontend-auditor audit --owner DTSL --repo dnd-editor --advisories advisories.json\n');
+
+    console.log('# Preview fixes derived from the boilerplate, then apply them to a local checkout');
+    console.log('frontend-auditor fix --path ./my-monorepo --boilerplate ./templates/monorepo-app-boilerplate/template --dry-run');
+    console.log('frontend-auditor fix --path ./my-monorepo --boilerplate ./templates/monorepo-app-boilerplate/template\n');
+
+    console.log('# Open a pull request with the fixable changes for high and critical issues');
+    console.log('frontend-auditor pr --owner DTSL --repo dnd-editor --severity high\n');
+
+    console.log('# Drive audits from an MCP client (Claude Desktop, IDE assistants, ...)');
+    console.log('frontend-auditor mcp\n');
+
+    console.log('# Audit a local checkout offline');
+    console.log('frontend-auditor audit --path ./my-monorepo --boilerplate ./templates/monorepo-app-boilerplate/template --common-config ./fe-common-config\n');
     
     console.log(chalk.green('Setup complete! You can now run audits.'));
   });
 
+/**
+ * Send log output to stderr while a report is written to stdout, so the
+ * report stays machine-readable (e.g. `--format json | jq`)
+ */
+function redirectLogsToStderr() {
+  console.log = console.error;
+  console.info = console.error;
+}
+
+/**
+ * Audit a repository keeping the fetched data the fixes are derived from.
+ * Like `AuditEngine.auditRepository`, everything is read in one resolution
+ * scope, so the audit and the fixes see a single commit.
+ */
+function fetchAndAudit(auditEngine, owner, repo, ref) {
+  return auditEngine.source.inResolutionScope(async () => {
+    const auditData = await auditEngine.fetchAuditData(owner, repo, { ref });
+    return { auditData, auditReport: await auditEngine.runAudit(auditData) };
+  });
+}
+
+/**
+ * Write a report to stdout (console.log may be redirected to stderr)
+ */
+function printReport(report) {
+  process.stdout.write(`${report}\n`);
+}
+
+/**
+ * Load the project config and apply command line overrides on top of it
+ */
+async function resolveConfig(options) {
+  const { config, projectConfig, filePath } = await loadProjectConfig({ configPath: options.config });
+  const overrides = {};
+
+  const setOverride = (section, key, value) => {
+    overrides[section] = { ...overrides[section], [key]: value };
+  };
+
+  if (options.maxFileSize !== undefined) {
+    setOverride('chunking', 'maxFileSize', Number(options.maxFileSize));
+  }
+  if (options.maxFilesPerBatch !== undefined) {
+    setOverride('chunking', 'maxFilesPerBatch', Number(options.maxFilesPerBatch));
+  }
+  if (options.requestsPerMinute !== undefined) {
+    setOverride('rateLimiting', 'requestsPerMinute', Number(options.requestsPerMinute));
+  }
+  if (typeof options.history === 'string') {
+    setOverride('history', 'path', options.history);
+  }
+  if (typeof options.cache === 'string') {
+    setOverride('cache', 'path', options.cache);
+  }
+  if (options.cache === false) {
+    setOverride('cache', 'enabled', false);
+  }
+  if (options.policy) {
+    setOverride('dependencyPolicy', 'path', options.policy);
+  }
+  if (options.failOn !== undefined) {
+    setOverride('gate', 'failOn', options.failOn);
+  }
+  if (options.minScore !== undefined) {
+    setOverride('gate', 'minScore', Number(options.minScore));
+  }
+  if (options.apiUrl) {
+    setOverride('github', 'apiUrl', options.apiUrl);
+  }
+  if (options.boilerplateRepo) {
+    setOverride('repositories', 'boilerplate', parseRepositoryOption(options.boilerplateRepo, '--boilerplate-repo'));
+  }
+  if (options.commonConfigRepo) {
+    setOverride('repositories', 'commonConfig', parseRepositoryOption(options.commonConfigRepo, '--common-config-repo'));
+  }
+  (options.rule || []).forEach(rule => {
+    const [id, severity] = rule.split('=');
+    setOverride('rules', id, severity);
+  });
+
+  const errors = validateConfig(overrides);
+  if (errors.length > 0) {
+    throw new Error(`Invalid command line options:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  const merged = mergeConfig(config, overrides);
+  // A repository given on the command line replaces the configured one
+  // entirely, so its path and branch are not inherited
+  if (overrides.repositories) {
+    merged.repositories = { ...merged.repositories, ...overrides.repositories };
+  }
+
+  return { config: merged, projectConfig, filePath };
+}
+
+/**
+ * Parse `owner/repo` or `owner/repo/path/in/repo`
+ */
+function parseRepositoryOption(value, flag) {
+  const [owner, repo, ...path] = value.split('/');
+  if (!owner || !repo) {
+    throw new Error(`${flag} must look like owner/repo`);
+  }
+  return path.length > 0 ? { owner, repo, path: path.join('/') } : { owner, repo };
+}
+
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+/**
+ * Pick the repository source for the audit: a local directory when --path
+ * is given, GitHub otherwise
+ */
+function createRepositorySource(options, config, projectConfig, spinner) {
+  if (options.path) {
+    const source = new LocalRepositorySource({
+      path: options.path,
+      boilerplate: options.boilerplate,
+      commonConfig: options.commonConfig,
+      owner: options.owner,
+      repo: options.repo,
+      config
+    });
+    return { source, ...source.target };
+  }
+
+  // Fall back to the target named in the project config file
+  const owner = options.owner || projectConfig.repositories?.target?.owner;
+  const repo = options.repo || projectConfig.repositories?.target?.repo;
+  if (!owner || !repo) {
+    spinner.fail('Both --owner and --repo are required (or set repositories.target in .auditorrc, or use --path to audit a local directory).');
+    process.exit(1);
+  }
+
+  // Get GitHub token
+  const token = options.token || process.env.GITHUB_TOKEN;
+  if (!token) {
+    spinner.fail('GitHub token is required. Use --token option or set GITHUB_TOKEN environment variable.');
+    process.exit(1);
+  }
+
+  spinner.text = 'Connecting to GitHub...';
+  return { source: new GitHubMCPClient(token, config), owner, repo };
+}
+
 function displayTableReport(auditReport, minSeverity) {
-  const { repository, summary, categories } = auditReport;
+  const { repository, summary, categories, baseline } = auditReport;
   
   // Display summary
-  console.log(chalk.blue.bold(`\nAudit Report for ${repository.owner}/${repository.repo}\n`));
+  const refLabel = repository.sha ? ` @ ${repository.ref} (${repository.sha.slice(0, 7)})` : '';
+  console.log(chalk.blue.bold(`\nAudit Report for ${repository.owner}/${repository.repo}${refLabel}\n`));
   
   const summaryData = [
     ['Metric', 'Value'],
@@ -118,6 +747,19 @@ function displayTableReport(auditReport, minSeverity) {
     ['Compliance Score', getScoreColor(summary.complianceScore) + '%']
   ];
 
+  if (baseline) {
+    summaryData.push(
+      ['Baselined Issues', baseline.suppressedIssues.toString()],
+      ['Resolved Since Baseline', chalk.green(baseline.resolvedIssues.length.toString())],
+      ['Score Including Baselined', getScoreColor(baseline.complianceScore.allIssues) + '%']
+    );
+  }
+
+  if (auditReport.rateLimit?.remaining != null) {
+    const { remaining, limit, reset } = auditReport.rateLimit;
+    summaryData.push(['API Quota Remaining', `${remaining}/${limit} (resets ${new Date(reset).toLocaleTimeString()})`]);
+  }
+
   console.log(table(summaryData, {
     border: {
       topBody: `─`,
@@ -150,19 +792,196 @@ function displayTableReport(auditReport, minSeverity) {
 
     console.log(chalk.bold(`${categoryName} (Score: ${getScoreColor(categoryData.score)}%)`));
     
-    const issueData = [['Severity', 'File', 'Message']];
+    const issueData = [['Severity', 'Rule', 'File', 'Message']];
     
     filteredIssues.forEach(issue => {
       issueData.push([
         getSeverityColor(issue.severity),
+        issue.ruleId || 'N/A',
         issue.file || 'N/A',
-        issue.message
+        issue.fixable ? `${issue.message} ${chalk.green('[fixable]')}` : issue.message
       ]);
     });
 
     console.log(table(issueData));
     console.log('');
   }
+
+  if (auditReport.unanalyzedFiles?.length > 0) {
+    console.log(chalk.yellow.bold('Files Not Analyzed:\n'));
+
+    const unanalyzedData = [['File', 'Size', 'Reason']];
+    auditReport.unanalyzedFiles.forEach(file => {
+      unanalyzedData.push([file.path, `${file.size} bytes`, file.reason]);
+    });
+
+    console.log(table(unanalyzedData));
+  }
+
+  if (baseline && baseline.resolvedIssues.length > 0) {
+    console.log(chalk.green.bold('Resolved Since Baseline:\n'));
+
+    const resolvedData = [['Rule', 'File', 'Message']];
+    baseline.resolvedIssues.forEach(issue => {
+      resolvedData.push([issue.ruleId, issue.file || 'N/A', issue.message]);
+    });
+
+    console.log(table(resolvedData));
+  }
+
+  if (auditReport.history?.previousRun) {
+    displayTrend(auditReport.history);
+  }
+}
+
+/**
+ * Score change, sparkline and issue changes since the previous audit
+ */
+function displayTrend({ previousRun, scoreDelta, introducedIssues, resolvedIssues, trend }) {
+  console.log(chalk.blue.bold('Trend:\n'));
+  console.log(`Compliance score ${formatDelta(scoreDelta)} since ${new Date(previousRun.timestamp).toLocaleString()} (${previousRun.complianceScore}%)`);
+  if (trend.length > 1) {
+    console.log(`Last ${trend.length} audits: ${sparkline(trend.map(run => run.complianceScore))} ${trend.map(run => run.complianceScore).join(' → ')}`);
+  }
+  introducedIssues.forEach(issue => console.log(`  ${chalk.red('+')} ${issue.ruleId}: ${issue.message}`));
+  resolvedIssues.forEach(issue => console.log(`  ${chalk.green('-')} ${issue.ruleId}: ${issue.message}`));
+  console.log('');
+}
+
+function formatDelta(delta) {
+  if (delta === 0) return 'unchanged';
+  return delta > 0 ? chalk.green(`+${delta} pts`) : chalk.red(`${delta} pts`);
+}
+
+function sparkline(scores) {
+  const bars = '▁▂▃▄▅▆▇█';
+  return scores.map(score => bars[Math.min(bars.length - 1, Math.floor(score / 100 * bars.length))]).join('');
+}
+
+function displayFleetReport({ summary, ranking, topFailingRules, errors }) {
+  console.log(chalk.blue.bold(`\nFleet Audit: ${summary.audited} repositories, average score ${summary.averageScore ?? 'N/A'}%\n`));
+
+  const rankingData = [['#', 'Repository', 'Score', 'Critical', 'High', 'Issues']];
+  ranking.forEach((entry, index) => {
+    rankingData.push([
+      (index + 1).toString(),
+      entry.repository,
+      getScoreColor(entry.complianceScore) + '%',
+      chalk.red(entry.criticalIssues.toString()),
+      chalk.yellow(entry.highIssues.toString()),
+      entry.totalIssues.toString()
+    ]);
+  });
+  console.log(table(rankingData));
+
+  if (topFailingRules.length > 0) {
+    console.log(chalk.blue.bold('Most Failed Rules:\n'));
+    const ruleData = [['Rule', 'Severity', 'Repositories', 'Issues']];
+    topFailingRules.slice(0, 10).forEach(rule => {
+      ruleData.push([rule.ruleId, getSeverityColor(rule.severity), `${rule.repositories.length}/${summary.audited}`, rule.issues.toString()]);
+    });
+    console.log(table(ruleData));
+  }
+
+  errors.forEach(({ repository, error }) => console.log(chalk.red(`✖ ${repository}: ${error}`)));
+}
+
+function displayComparison({ repository1, repository2, scores, dependencies, scripts, configFiles }) {
+  const name1 = `${repository1.owner}/${repository1.repo}`;
+  const name2 = `${repository2.owner}/${repository2.repo}`;
+  console.log(chalk.blue.bold(`\nComparison: ${name1} vs ${name2}\n`));
+
+  const scoreData = [['Category', name1, name2, 'Difference']];
+  scoreData.push([
+    chalk.bold('Overall'),
+    getScoreColor(scores.complianceScore.repo1) + '%',
+    getScoreColor(scores.complianceScore.repo2) + '%',
+    formatDelta(scores.complianceScore.repo2 - scores.complianceScore.repo1)
+  ]);
+  scores.categories.forEach(({ category, repo1, repo2 }) => {
+    scoreData.push([
+      category,
+      repo1 !== null ? getScoreColor(repo1) + '%' : 'N/A',
+      repo2 !== null ? getScoreColor(repo2) + '%' : 'N/A',
+      repo1 !== null && repo2 !== null ? formatDelta(repo2 - repo1) : ''
+    ]);
+  });
+  console.log(table(scoreData));
+
+  if (dependencies.differences.length > 0) {
+    console.log(chalk.blue.bold('Dependency Versions:\n'));
+    const dependencyData = [['Dependency', name1, name2]];
+    dependencies.differences.forEach(({ name, repo1, repo2 }) => {
+      dependencyData.push([name, repo1.join('\n'), repo2.join('\n')]);
+    });
+    console.log(table(dependencyData));
+  }
+  if (dependencies.onlyInRepo1.length > 0) {
+    console.log(`${chalk.bold(`Dependencies only in ${name1}:`)} ${dependencies.onlyInRepo1.map(({ name }) => name).join(', ')}`);
+  }
+  if (dependencies.onlyInRepo2.length > 0) {
+    console.log(`${chalk.bold(`Dependencies only in ${name2}:`)} ${dependencies.onlyInRepo2.map(({ name }) => name).join(', ')}`);
+  }
+
+  if (scripts.different.length > 0) {
+    console.log(chalk.blue.bold('\nScripts:\n'));
+    const scriptData = [['Script', name1, name2]];
+    scripts.different.forEach(({ name, repo1, repo2 }) => scriptData.push([name, repo1, repo2]));
+    console.log(table(scriptData));
+  }
+  if (scripts.onlyInRepo1.length > 0) {
+    console.log(`${chalk.bold(`Scripts only in ${name1}:`)} ${scripts.onlyInRepo1.join(', ')}`);
+  }
+  if (scripts.onlyInRepo2.length > 0) {
+    console.log(`${chalk.bold(`Scripts only in ${name2}:`)} ${scripts.onlyInRepo2.join(', ')}`);
+  }
+
+  if (configFiles.onlyInRepo1.length > 0) {
+    console.log(`${chalk.bold(`Config files only in ${name1}:`)} ${configFiles.onlyInRepo1.join(', ')}`);
+  }
+  if (configFiles.onlyInRepo2.length > 0) {
+    console.log(`${chalk.bold(`Config files only in ${name2}:`)} ${configFiles.onlyInRepo2.join(', ')}`);
+  }
+  configFiles.different.forEach(({ diff }) => {
+    console.log('');
+    diff.split('\n').forEach(line => {
+      if (line.startsWith('+') && !line.startsWith('+++')) console.log(chalk.green(line));
+      else if (line.startsWith('-') && !line.startsWith('---')) console.log(chalk.red(line));
+      else if (line.startsWith('@@')) console.log(chalk.cyan(line));
+      else console.log(line);
+    });
+  });
+}
+
+function displayHistory(repository, runs) {
+  console.log(chalk.blue.bold(`\nAudit History for ${repository}\n`));
+  if (runs.length === 0) {
+    console.log('No audits recorded yet.');
+    return;
+  }
+
+  const historyData = [['Date', 'Ref', 'Commit', 'Score', 'Change', 'Critical', 'High', 'Medium', 'Low']];
+  runs.forEach((run, index) => {
+    historyData.push([
+      new Date(run.timestamp).toLocaleString(),
+      run.ref || 'N/A',
+      run.sha ? run.sha.slice(0, 7) : 'N/A',
+      getScoreColor(run.complianceScore) + '%',
+      index > 0 ? formatDelta(run.complianceScore - runs[index - 1].complianceScore) : '',
+      run.summary.criticalIssues.toString(),
+      run.summary.highIssues.toString(),
+      run.summary.mediumIssues.toString(),
+      run.summary.lowIssues.toString()
+    ]);
+  });
+  console.log(table(historyData));
+
+  if (runs.length > 1) {
+    displayTrend({
+      ...compareRuns(runs.at(-2), runs.at(-1)),
+      trend: runs.map(({ timestamp, complianceScore }) => ({ timestamp, complianceScore }))
+    });
+  }
 }
 
 function getSeverityColor(severity) {
@@ -0,0 +1,79 @@
+/**
+ * Runs the CLI on a local repository with stderr discarded: whatever is
+ * printed on stdout must be the payload alone
+ */
+
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+
+const CLI = fileURLToPath(new URL('./cli.js', import.meta.url));
+
+const packageJson = pkg => JSON.stringify(pkg, null, 2);
+
+// Relative path -> content of the repository and the boilerplate
+const FILES = {
+  'repo/package.json': packageJson({ name: 'app', private: true }),
+  'boilerplate/package.json': packageJson({
+    name: 'boilerplate',
+    private: true,
+    workspaces: ['apps/*'],
+    scripts: { build: 'turbo run build' }
+  }),
+  'boilerplate/turbo.json': packageJson({ tasks: {} })
+};
+
+describe('CLI output', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'frontend-auditor-cli-'));
+    for (const [file, content] of Object.entries(FILES)) {
+      await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+      await fs.writeFile(path.join(dir, file), content);
+    }
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * stdout of a CLI run in the fixture directory; stderr is not read
+   */
+  const run = (...args) => new Promise((resolve, reject) => {
+    const child = execFile(process.execPath, [CLI, ...args], { cwd: dir }, (error, stdout) => {
+      if (error) reject(error);
+      else resolve(stdout);
+    });
+    child.stderr.resume();
+  });
+
+  const local = ['--path', 'repo', '--boilerplate', 'boilerplate', '--common-config', 'boilerplate'];
+
+  test('audit --format json prints only the report', async () => {
+    const report = JSON.parse(await run('audit', ...local, '--no-history', '--format', 'json'));
+
+    expect(report.repository.repo).toBe('repo');
+    expect(report.summary.totalIssues).toBeGreaterThan(0);
+  });
+
+  test('fix --dry-run prints only the patch', async () => {
+    const patch = await run('fix', ...local, '--dry-run');
+
+    expect(patch.startsWith('diff --git a/package.json b/package.json\n')).toBe(true);
+    expect(patch).toContain('+++ b/turbo.json');
+    expect(patch).not.toContain('✓');
+  });
+
+  test('history --format json prints only the runs', async () => {
+    await run('audit', ...local, '--format', 'json', '--output', 'report.json');
+    const history = JSON.parse(await run('history', '--format', 'json'));
+
+    expect(history.repository).toBe('local/repo');
+    expect(history.runs).toHaveLength(1);
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * Project Config Loader for Frontend Auditor Agent
+ * Discovers `.auditorrc` / `auditor.config.js`, validates it and merges it
+ * over MCP_CONFIG
+ */
+
+import { readFile, access } from 'fs/promises';
+import { dirname, join, resolve, extname } from 'path';
+import { pathToFileURL } from 'url';
+import { parse as parseYAML } from 'yaml';
+import { MCP_CONFIG, SEVERITY_LEVELS, AUDIT_CATEGORIES } from './mcp-config.js';
+import { AUDIT_RULES } from '../audit/rules.js';
+
+export const CONFIG_FILE_NAMES = [
+  '.auditorrc',
+  '.auditorrc.json',
+  '.auditorrc.yaml',
+  '.auditorrc.yml',
+  'auditor.config.js',
+  'auditor.config.mjs'
+];
+
+const repository = {
+  owner: 'string',
+  repo: 'string',
+  branch: 'string',
+  path: 'string'
+};
+
+const positiveInteger = 'positiveInteger';
+const nonNegativeInteger = 'nonNegativeInteger';
+
+// Shape of every option a project config may set
+const CONFIG_SCHEMA = {
+  repositories: {
+    target: repository,
+    boilerplate: repository,
+    commonConfig: repository
+  },
+  github: {
+    apiUrl: 'string'
+  },
+  chunking: {
+    maxFileSize: positiveInteger,
+    maxLargeFileSize: positiveInteger,
+    maxLockfileSize: positiveInteger,
+    maxFilesPerBatch: positiveInteger,
+    excludePatterns: 'stringArray',
+    includePatterns: 'stringArray'
+  },
+  rules: 'rules',
+  gate: {
+    failOn: 'severity',
+    minScore: 'score',
+    categories: 'gateCategories'
+  },
+  fleet: {
+    repositories: 'stringArray',
+    concurrency: positiveInteger
+  },
+  cache: {
+    enabled: 'boolean',
+    path: 'string'
+  },
+  history: {
+    path: 'string',
+    maxRuns: positiveInteger
+  },
+  lockfile: {
+    heavyPackages: 'stringArray',
+    allowedRegistries: 'stringArray'
+  },
+  dependencyPolicy: {
+    path: 'string',
+    commonConfigFile: 'string'
+  },
+  documentation: {
+    requiredSections: 'sections',
+    codeownersPaths: 'stringArray'
+  },
+  rateLimiting: {
+    requestsPerMinute: positiveInteger,
+    batchDelay: nonNegativeInteger,
+    retryAttempts: nonNegativeInteger,
+    retryDelay: nonNegativeInteger
+  }
+};
+
+/**
+ * Find the nearest config file, starting at `cwd` and walking up
+ */
+export async function findConfigFile(cwd = process.cwd()) {
+  let directory = resolve(cwd);
+
+  while (true) {
+    for (const fileName of CONFIG_FILE_NAMES) {
+      const candidate = join(directory, fileName);
+      try {
+        await access(candidate);
+        return candidate;
+      } catch (error) {
+        // Not here, keep looking
+      }
+    }
+
+    const parent = dirname(directory);
+    if (parent === directory) return null;
+    directory = parent;
+  }
+}
+
+/**
+ * Load, validate and merge a project config over MCP_CONFIG
+ *
+ * @returns {{ config: Object, projectConfig: Object, filePath: string|null }}
+ */
+export async function loadProjectConfig({ configPath, cwd = process.cwd(), baseConfig = MCP_CONFIG } = {}) {
+  const filePath = configPath ? resolve(cwd, configPath) : await findConfigFile(cwd);
+  if (!filePath) {
+    return { config: baseConfig, projectConfig: {}, filePath: null };
+  }
+
+  const projectConfig = await readConfigFile(filePath);
+  const errors = validateConfig(projectConfig);
+  if (errors.length > 0) {
+    throw new Error(`Invalid auditor config ${filePath}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  return { config: mergeConfig(baseConfig, projectConfig), projectConfig, filePath };
+}
+
+/**
+ * Read a YAML, JSON or JavaScript config file
+ */
+async function readConfigFile(filePath) {
+  const extension = extname(filePath);
+
+  if (extension === '.js' || extension === '.mjs' || extension === '.cjs') {
+    try {
+      const module = await import(pathToFileURL(filePath).href);
+      return module.default ?? module;
+    } catch (error) {
+      throw new Error(`Unable to load auditor config ${filePath}: ${error.message}`);
+    }
+  }
+
+  let content;
+  try {
+    content = await readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Unable to read auditor config ${filePath}: ${error.message}`);
+  }
+
+  try {
+    // JSON is valid YAML, so one parser covers .auditorrc in either syntax
+    return parseYAML(content) ?? {};
+  } catch (error) {
+    throw new Error(`Unable to parse auditor config ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Validate a project config against the schema, returning readable errors
+ */
+export function validateConfig(projectConfig) {
+  if (!isPlainObject(projectConfig)) {
+    return ['config must be an object'];
+  }
+  return validateObject(projectConfig, CONFIG_SCHEMA, '');
+}
+
+function validateObject(value, schema, path) {
+  const errors = [];
+
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = path ? `${path}.${key}` : key;
+    const childSchema = schema[key];
+
+    if (childSchema === undefined) {
+      errors.push(`${childPath}: unknown option (expected one of ${Object.keys(schema).join(', ')})`);
+    } else if (typeof childSchema === 'object') {
+      if (!isPlainObject(child)) {
+        errors.push(`${childPath}: must be an object`);
+      } else {
+        errors.push(...validateObject(child, childSchema, childPath));
+      }
+    } else {
+      errors.push(...validateValue(child, childSchema, childPath));
+    }
+  }
+
+  return errors;
+}
+
+function validateValue(value, type, path) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? [] : [`${path}: must be a string`];
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [`${path}: must be a boolean`];
+    case positiveInteger:
+      return Number.isInteger(value) && value > 0 ? [] : [`${path}: must be a positive integer`];
+    case nonNegativeInteger:
+      return Number.isInteger(value) && value >= 0 ? [] : [`${path}: must be a non-negative integer`];
+    case 'stringArray':
+      return Array.isArray(value) && value.every(item => typeof item === 'string')
+        ? []
+        : [`${path}: must be an array of strings`];
+    case 'sections':
+      if (!isPlainObject(value)) return [`${path}: must be an object`];
+      return Object.entries(value).flatMap(([section, keywords]) =>
+        validateValue(keywords, 'stringArray', `${path}.${section}`)
+      );
+    case 'rules':
+      return validateRules(value, path);
+    case 'severity': {
+      // null switches an inherited threshold off
+      const severities = Object.values(SEVERITY_LEVELS);
+      return value === null || severities.includes(value) ? [] : [`${path}: must be one of ${severities.join(', ')}`];
+    }
+    case 'score':
+      return value === null || (typeof value === 'number' && value >= 0 && value <= 100)
+        ? []
+        : [`${path}: must be a number between 0 and 100`];
+    case 'gateCategories':
+      return validateGateCategories(value, path);
+    default:
+      return [];
+  }
+}
+
+function validateRules(rules, path) {
+  if (!isPlainObject(rules)) return [`${path}: must be an object`];
+
+  const ruleIds = new Set(AUDIT_RULES.map(rule => rule.id));
+  const severities = Object.values(SEVERITY_LEVELS);
+  const errors = [];
+
+  for (const [id, value] of Object.entries(rules)) {
+    const rulePath = `${path}.${id}`;
+    if (!ruleIds.has(id)) {
+      errors.push(`${rulePath}: unknown rule (run "frontend-auditor rules" for the list)`);
+      continue;
+    }
+
+    if (typeof value === 'string') {
+      if (value !== 'off' && !severities.includes(value)) {
+        errors.push(`${rulePath}: must be "off" or one of ${severities.join(', ')}`);
+      }
+    } else if (isPlainObject(value)) {
+      if (value.enabled !== undefined && typeof value.enabled !== 'boolean') {
+        errors.push(`${rulePath}.enabled: must be a boolean`);
+      }
+      if (value.severity !== undefined && !severities.includes(value.severity)) {
+        errors.push(`${rulePath}.severity: must be one of ${severities.join(', ')}`);
+      }
+    } else {
+      errors.push(`${rulePath}: must be a severity string or { enabled, severity }`);
+    }
+  }
+
+  return errors;
+}
+
+function validateGateCategories(categories, path) {
+  if (!isPlainObject(categories)) return [`${path}: must be an object`];
+
+  const categoryNames = Object.values(AUDIT_CATEGORIES);
+  return Object.entries(categories).flatMap(([category, threshold]) => {
+    const categoryPath = `${path}.${category}`;
+    if (!categoryNames.includes(category)) {
+      return [`${categoryPath}: unknown category (expected one of ${categoryNames.join(', ')})`];
+    }
+    if (!isPlainObject(threshold)) {
+      return [`${categoryPath}: must be an object`];
+    }
+    return validateObject(threshold, { failOn: 'severity', minScore: 'score' }, categoryPath);
+  });
+}
+
+/**
+ * Deep merge plain objects; arrays and scalars from `override` replace `base`
+ */
+export function mergeConfig(base, override) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(override || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeConfig(base[key], value)
+      : value;
+  }
+
+  return merged;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -24,10 +24,20 @@ export const MCP_CONFIG = {
     }
   },
 
+  // GitHub API endpoint (GitHub Enterprise: https://<host>/api/v3)
+  github: {
+    apiUrl: 'https://api.github.com'
+  },
+
   // Chunking configuration to avoid context window limits
   chunking: {
-    maxFileSize: 50000, // 50KB per file
+    maxFileSize: 50000, // 50KB per file; larger files are streamed in chunks
+    maxLargeFileSize: 5000000, // Files over 5MB are listed in the report as not analyzed
+    maxLockfileSize: 100000000, // Lockfiles are streamed and parsed, never held whole or sent as context
     maxFilesPerBatch: 10, // Process 10 files at a time
+    // Which files of the audited repository are fetched; patterns without a
+    // slash match in any directory. Lockfiles are streamed separately and
+    // .env files are only listed, so neither is subject to these patterns.
     excludePatterns: [
       'node_modules/**',
       'coverage/**',
@@ -41,10 +51,17 @@ export const MCP_CONFIG = {
     includePatterns: [
       'package.json',
       'tsconfig.json',
+      'jsconfig.json',
+      'turbo.json',
       'babel.config.*',
       'jest.config.*',
       'webpack.config.*',
       'eslint.config.*',
+      'prettier.config.*',
+      '.npmrc',
+      '.yarnrc',
+      '.yarnrc.yml',
+      'CODEOWNERS',
       '*.md',
       'src/**/*.{js,jsx,ts,tsx}',
       'apps/**/package.json',
@@ -53,28 +70,74 @@ export const MCP_CONFIG = {
     ]
   },
 
-  // Audit rule priorities
-  auditRules: {
-    critical: [
-      'package-structure',
-      'dependency-versions',
-      'security-vulnerabilities'
-    ],
-    high: [
-      'code-quality',
-      'test-coverage',
-      'build-configuration'
-    ],
-    medium: [
-      'documentation',
-      'naming-conventions',
-      'file-organization'
+  // Rule overrides by rule ID (see src/audit/rules.js), e.g.
+  // { 'deps/lodash-es': 'off', 'structure/engines': 'high' }
+  rules: {},
+
+  // CI quality gate: fail the audit when an issue reaches `failOn` or the
+  // compliance score drops below `minScore`, overall or per category, e.g.
+  // { failOn: 'critical', categories: { 'Security & Compliance': { failOn: 'high', minScore: 90 } } }
+  gate: {
+    failOn: null,
+    minScore: null,
+    categories: {}
+  },
+
+  // Repositories audited by `frontend-auditor fleet` ("owner/repo" or "owner/repo@ref")
+  fleet: {
+    repositories: [],
+    concurrency: 3
+  },
+
+  // Lockfile analysis: packages worth flagging when installed at several
+  // versions, and registry hosts besides npm/yarn and those in .npmrc/.yarnrc.yml
+  lockfile: {
+    heavyPackages: [
+      'react',
+      'react-dom',
+      'lodash',
+      'moment',
+      'core-js',
+      'rxjs',
+      'typescript',
+      'graphql',
+      'styled-components',
+      '@emotion/react',
+      '@mui/material',
+      'date-fns'
     ],
-    low: [
-      'comments',
-      'formatting',
-      'unused-dependencies'
-    ]
+    allowedRegistries: []
+  },
+
+  // Dependency version policy (min versions, allowed ranges, banned packages,
+  // replacements): a local YAML/JSON file, else `commonConfigFile` from the
+  // common config repository
+  dependencyPolicy: {
+    path: null,
+    commonConfigFile: 'dependency-policy.json'
+  },
+
+  // On-disk cache of fetched GitHub content, keyed by repository and SHA
+  cache: {
+    enabled: true,
+    path: '.auditor-cache'
+  },
+
+  // Audit history used for trends (`frontend-auditor history`)
+  history: {
+    path: '.auditor-history.json',
+    maxRuns: 100 // per repository
+  },
+
+  // Documentation standards: headings that satisfy each required README section
+  documentation: {
+    requiredSections: {
+      setup: ['setup', 'installation', 'install', 'getting started', 'quick start'],
+      scripts: ['scripts', 'commands', 'usage', 'development'],
+      architecture: ['architecture', 'structure', 'overview', 'design'],
+      ownership: ['ownership', 'owners', 'maintainers', 'contact', 'team', 'support']
+    },
+    codeownersPaths: ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS']
   },
 
   // Rate limiting to respect GitHub API limits
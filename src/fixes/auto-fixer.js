@@ -0,0 +1,217 @@
+/**
+ * Auto Fixer for Frontend Auditor Agent
+ * Derives fixes for audit issues from the boilerplate template and renders
+ * them as a unified diff or writes them to a local checkout
+ */
+
+import { mkdir, writeFile } from 'fs/promises';
+import { dirname, resolve, sep } from 'path';
+import { createTwoFilesPatch } from 'diff';
+
+/**
+ * Copy a root package.json field from the boilerplate
+ */
+const copyField = field => ({
+  file: () => 'package.json',
+  fix: (content, issue, { boilerplatePkg }) => {
+    if (boilerplatePkg?.[field] === undefined) return null;
+    return editJSON(content, pkg => { pkg[field] = boilerplatePkg[field]; });
+  }
+});
+
+/**
+ * Add a script from the boilerplate
+ */
+const addScript = scriptName => ({
+  file: () => 'package.json',
+  fix: (content, issue, { boilerplatePkg }) => {
+    const name = scriptName || issue.key;
+    const command = boilerplatePkg?.scripts?.[name];
+    if (command === undefined) return null;
+
+    return editJSON(content, pkg => {
+      if (pkg.scripts?.[name] !== undefined) return false;
+      pkg.scripts = { ...pkg.scripts, [name]: command };
+    });
+  }
+});
+
+/**
+ * Add a devDependency at the boilerplate's version
+ */
+const addDevDependency = {
+  file: () => 'package.json',
+  fix: (content, issue, { boilerplatePkg }) => {
+    const version = boilerplatePkg?.devDependencies?.[issue.dependency] ||
+      boilerplatePkg?.dependencies?.[issue.dependency];
+    if (!issue.dependency || !version) return null;
+
+    return editJSON(content, pkg => {
+      pkg.devDependencies = sortKeys({ ...pkg.devDependencies, [issue.dependency]: version });
+    });
+  }
+};
+
+/**
+ * Create a file missing from the target with the boilerplate's content
+ */
+const copyFile = fileName => ({
+  file: () => fileName,
+  fix: (content, issue, { boilerplateFiles }) => {
+    if (content !== null) return null;
+    const template = boilerplateFiles.find(f => f.path === fileName || f.path.endsWith(`/${fileName}`));
+    return template ? template.content : null;
+  }
+});
+
+// Fixers by rule ID. `fix` returns the new file content, or null when the
+// issue cannot be fixed from the boilerplate.
+export const FIXERS = {
+  'structure/workspaces': copyField('workspaces'),
+  'structure/package-manager': copyField('packageManager'),
+  'structure/engines': copyField('engines'),
+  'structure/boilerplate-scripts': {
+    file: () => 'package.json',
+    // Only missing scripts; changed commands need a human decision
+    fix: (content, issue, context) => issue.actual === undefined ? addScript().fix(content, issue, context) : null
+  },
+  'testing/test-script': addScript('test'),
+  'testing/ci-test-script': addScript('test:ci'),
+  'deps/dtsl-jest-config': addDevDependency,
+  'deps/dtsl-eslint-config': addDevDependency,
+  'deps/dtsl-prettier-config': addDevDependency,
+  'deps/dtsl-typescript-config': addDevDependency,
+  'quality/husky': addDevDependency,
+  'quality/lint-staged': addDevDependency,
+  'build/turbo-config': copyFile('turbo.json')
+};
+
+export class AutoFixer {
+  /**
+   * @param {Object} targetData - Fetched target repository data
+   * @param {Array} boilerplateData - Fetched boilerplate template files
+   */
+  constructor(targetData, boilerplateData = []) {
+    this.targetFiles = [
+      ...targetData.packageFiles,
+      ...targetData.configFiles
+    ];
+
+    const boilerplatePackage = boilerplateData.find(f => f.path === 'package.json' || f.path.endsWith('/package.json'));
+    let boilerplatePkg = null;
+    try {
+      boilerplatePkg = boilerplatePackage ? JSON.parse(boilerplatePackage.content) : null;
+    } catch (error) {
+      console.error('Error parsing boilerplate package.json:', error.message);
+    }
+
+    this.context = { boilerplatePkg, boilerplateFiles: boilerplateData };
+  }
+
+  /**
+   * Set `fixable: true` on every issue a fix can be generated for
+   */
+  markFixable(auditReport) {
+    const issues = Object.values(auditReport.categories).flatMap(category => category.issues);
+    const { fixedIssues } = this.generateFixes(issues);
+    fixedIssues.forEach(issue => { issue.fixable = true; });
+    return fixedIssues.length;
+  }
+
+  /**
+   * Generate fixes for the given issues
+   *
+   * @returns {{ changes: Array<{ path, before, after, issues }>, fixedIssues: Array, patch: string }}
+   */
+  generateFixes(issues) {
+    const changes = new Map();
+    const fixedIssues = [];
+
+    for (const issue of issues) {
+      const fixer = FIXERS[issue.ruleId];
+      if (!fixer) continue;
+
+      const path = fixer.file(issue);
+      const change = changes.get(path) || {
+        path,
+        before: this.targetFiles.find(f => f.path === path)?.content ?? null,
+        after: undefined,
+        issues: []
+      };
+      const current = change.after ?? change.before;
+
+      let updated;
+      try {
+        updated = fixer.fix(current, issue, this.context);
+      } catch (error) {
+        console.error(`Error generating fix for ${issue.ruleId}:`, error.message);
+        continue;
+      }
+      if (updated === null || updated === current) continue;
+
+      change.after = updated;
+      change.issues.push(issue);
+      changes.set(path, change);
+      fixedIssues.push(issue);
+    }
+
+    const changeList = [...changes.values()];
+    return { changes: changeList, fixedIssues, patch: renderPatch(changeList) };
+  }
+}
+
+/**
+ * Write generated changes into a local checkout
+ */
+export async function applyChanges(changes, directory) {
+  const root = resolve(directory);
+
+  for (const change of changes) {
+    const filePath = resolve(root, change.path);
+    if (!filePath.startsWith(root + sep)) {
+      throw new Error(`Refusing to write outside of ${root}: ${change.path}`);
+    }
+
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(filePath, change.after, 'utf8');
+  }
+}
+
+/**
+ * Git-style unified diff of all changes
+ */
+export function renderPatch(changes) {
+  return changes.map(change => {
+    const patch = createTwoFilesPatch(
+      change.before === null ? '/dev/null' : `a/${change.path}`,
+      `b/${change.path}`,
+      change.before ?? '',
+      change.after,
+      '',
+      '',
+      { context: 3 }
+    );
+    const header = `diff --git a/${change.path} b/${change.path}\n` +
+      (change.before === null ? 'new file mode 100644\n' : '');
+    return header + patch.split('\n').filter(line => !line.startsWith('Index:') && !line.startsWith('===')).map(line => line.trimEnd()).join('\n');
+  }).join('');
+}
+
+/**
+ * Parse, mutate and re-serialize JSON keeping the file's indentation.
+ * The mutator may return false to signal that nothing changed.
+ */
+function editJSON(content, mutate) {
+  if (content === null) return null;
+
+  const data = JSON.parse(content);
+  if (mutate(data) === false) return content;
+
+  const indent = content.match(/^[ \t]+(?=")/m)?.[0] || '  ';
+  const trailingNewline = content.endsWith('\n') ? '\n' : '';
+  return JSON.stringify(data, null, indent) + trailingNewline;
+}
+
+function sortKeys(object) {
+  return Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+}
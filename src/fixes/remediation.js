@@ -0,0 +1,135 @@
+/**
+ * Remediation Pull Requests for Frontend Auditor Agent
+ * Commits the auto-fixable changes of an audit to a new branch and opens a
+ * pull request describing the findings
+ */
+
+import { AutoFixer } from './auto-fixer.js';
+import { ReportGenerator } from '../reports/report-generator.js';
+
+const SEVERITY_ORDER = ['info', 'low', 'medium', 'high', 'critical'];
+
+// GitHub rejects pull request bodies over 65536 characters
+const MAX_BODY_LENGTH = 65000;
+
+/**
+ * Copy of an audit report keeping only issues at or above `minSeverity`,
+ * with the summary counts recomputed
+ */
+export function filterReportBySeverity(auditReport, minSeverity = 'low') {
+  const minIndex = SEVERITY_ORDER.indexOf(minSeverity);
+  const keep = issue => SEVERITY_ORDER.indexOf(issue.severity) >= minIndex;
+
+  const categories = Object.fromEntries(Object.entries(auditReport.categories).map(([name, category]) =>
+    [name, { ...category, issues: category.issues.filter(keep) }]
+  ));
+  const issues = Object.values(categories).flatMap(category => category.issues);
+  const count = severity => issues.filter(issue => issue.severity === severity).length;
+
+  return {
+    ...auditReport,
+    categories,
+    summary: {
+      ...auditReport.summary,
+      totalIssues: issues.length,
+      criticalIssues: count('critical'),
+      highIssues: count('high'),
+      mediumIssues: count('medium'),
+      lowIssues: count('low')
+    }
+  };
+}
+
+export class RemediationPullRequest {
+  /**
+   * @param {GitHubMCPClient} client - GitHub client used for the audit
+   */
+  constructor(client) {
+    this.client = client;
+    this.reportGenerator = new ReportGenerator();
+  }
+
+  /**
+   * Work out the branch, commit and pull request for an audit without
+   * touching GitHub
+   *
+   * @param {Object} auditData - Result of AuditEngine.fetchAuditData()
+   * @param {Object} auditReport - Result of AuditEngine.runAudit()
+   * @param {Object} [options] - `{ severity, base, branch, title }`
+   */
+  plan(auditData, auditReport, options = {}) {
+    const { owner, repo, ref, sha } = auditReport.repository;
+    const report = filterReportBySeverity(auditReport, options.severity);
+    const issues = Object.values(report.categories).flatMap(category => category.issues);
+    const { changes, fixedIssues, patch } = new AutoFixer(auditData.targetData, auditData.boilerplateData)
+      .generateFixes(issues.filter(issue => issue.fixable));
+
+    return {
+      owner,
+      repo,
+      base: options.base || ref,
+      baseSha: sha,
+      branch: options.branch || `frontend-auditor/remediation-${sha.slice(0, 7)}`,
+      title: options.title || `Fix ${fixedIssues.length} frontend audit issues`,
+      message: [
+        `Fix ${fixedIssues.length} frontend audit issues`,
+        '',
+        ...fixedIssues.map(issue => `- ${issue.ruleId}: ${issue.message}`)
+      ].join('\n'),
+      body: this.buildBody(report, fixedIssues),
+      changes,
+      fixedIssues,
+      patch
+    };
+  }
+
+  /**
+   * Create the branch, commit the changes and open the pull request
+   *
+   * @returns {{ number, url, branch, commitSha, plan }}
+   */
+  async open(auditData, auditReport, options = {}) {
+    const plan = this.plan(auditData, auditReport, options);
+    if (plan.changes.length === 0) {
+      throw new Error('No fixable issues at the selected severity; no pull request opened');
+    }
+
+    const { owner, repo, branch, baseSha } = plan;
+    await this.client.createBranch(owner, repo, branch, baseSha);
+    const commitSha = await this.client.commitFiles(
+      owner,
+      repo,
+      branch,
+      baseSha,
+      plan.changes.map(change => ({ path: change.path, content: change.after })),
+      plan.message
+    );
+    const pullRequest = await this.client.createPullRequest(owner, repo, {
+      head: branch,
+      base: plan.base,
+      title: plan.title,
+      body: plan.body,
+      draft: options.draft
+    });
+
+    return { ...pullRequest, branch, commitSha, plan };
+  }
+
+  /**
+   * Pull request body: what this PR fixes, followed by the markdown report
+   */
+  buildBody(report, fixedIssues) {
+    let body = `## Automated fixes\n\n`;
+    body += `This pull request was opened by \`frontend-auditor\` and fixes ${fixedIssues.length} issues:\n\n`;
+    fixedIssues.forEach(issue => {
+      body += `- \`${issue.ruleId}\` ${issue.message} (\`${issue.file}\`)\n`;
+    });
+    body += `\nThe remaining findings need manual changes.\n\n---\n\n`;
+    body += this.reportGenerator.generateMarkdown(report);
+
+    if (body.length > MAX_BODY_LENGTH) {
+      body = `${body.slice(0, MAX_BODY_LENGTH)}\n\n_Report truncated; run \`frontend-auditor audit --format markdown\` for the full report._\n`;
+    }
+    return body;
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Opens remediation pull requests against a small fake GitHub API that
+ * serves the audited repository and the boilerplate, and records the
+ * branch, blobs, tree, commit and pull request it is asked to create
+ */
+
+import http from 'http';
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from '@jest/globals';
+import { FrontendAuditorAgent } from '../index.js';
+import { MCP_CONFIG } from '../config/mcp-config.js';
+import { RemediationPullRequest } from './remediation.js';
+
+const APP_SHA = 'a'.repeat(40);
+const BOILERPLATE_SHA = 'b'.repeat(40);
+const COMMIT_SHA = 'c'.repeat(40);
+
+const packageJson = pkg => JSON.stringify(pkg, null, 2);
+
+// Repository -> files at its only commit
+const REPOSITORIES = {
+  app: { sha: APP_SHA, files: { 'package.json': packageJson({ name: 'app', private: true }) } },
+  boilerplate: {
+    sha: BOILERPLATE_SHA,
+    files: {
+      'package.json': packageJson({
+        name: 'boilerplate',
+        private: true,
+        workspaces: ['apps/*'],
+        scripts: { build: 'turbo run build' }
+      }),
+      'turbo.json': packageJson({ tasks: { build: {} } })
+    }
+  }
+};
+
+// Write requests the fake API received, as `{ method, path, body }`
+let writes;
+
+/**
+ * Reads of the audit (commits, trees, blobs) and the writes of a pull request
+ */
+async function fakeGitHub(request, response) {
+  const send = (status, body) => {
+    response.writeHead(status, { 'content-type': 'application/json' });
+    response.end(JSON.stringify(body));
+  };
+  const path = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+  let text = '';
+  for await (const chunk of request) text += chunk;
+
+  if (request.method !== 'GET') {
+    writes.push({ method: request.method, path, body: JSON.parse(text) });
+    if (path === '/repos/acme/app/git/refs') return send(201, { ref: 'created' });
+    if (path === '/repos/acme/app/git/blobs') return send(201, { sha: `blob-${writes.length}` });
+    if (path === '/repos/acme/app/git/trees') return send(201, { sha: 'new-tree' });
+    if (path === '/repos/acme/app/git/commits') return send(201, { sha: COMMIT_SHA });
+    if (path.startsWith('/repos/acme/app/git/refs/heads/')) return send(200, { object: { sha: COMMIT_SHA } });
+    if (path === '/repos/acme/app/pulls') return send(201, { number: 7, html_url: 'https://github.test/acme/app/pull/7' });
+    return send(404, { message: 'Not Found' });
+  }
+
+  const [, repo, rest] = path.match(/^\/repos\/acme\/([^/]+)(.*)$/) || [];
+  const repository = REPOSITORIES[repo];
+  let match;
+
+  if (!repository) return send(404, { message: 'Not Found' });
+  if (rest === '') return send(200, { default_branch: 'main' });
+  if (rest === '/commits/main') return send(200, { sha: repository.sha });
+  if (rest === `/git/commits/${repository.sha}`) return send(200, { sha: repository.sha, tree: { sha: `tree-${repo}` } });
+  if (rest === `/git/trees/${repository.sha}`) {
+    const tree = Object.entries(repository.files).map(([file, content]) => ({
+      path: file,
+      type: 'blob',
+      size: content.length,
+      sha: Buffer.from(`${repo}:${file}`).toString('hex')
+    }));
+    return send(200, { sha: repository.sha, truncated: false, tree });
+  }
+  if ((match = rest.match(/^\/git\/blobs\/(\w+)$/))) {
+    const [, file] = Buffer.from(match[1], 'hex').toString().split(':');
+    const content = repository.files[file];
+    return send(200, { sha: match[1], size: content.length, encoding: 'base64', content: Buffer.from(content).toString('base64') });
+  }
+  send(404, { message: 'Not Found' });
+}
+
+describe('RemediationPullRequest', () => {
+  let api;
+  let agent;
+  let remediation;
+  let log;
+  let error;
+
+  beforeAll(async () => {
+    // Fetch progress and the missing files of the fake repositories are logged
+    ({ log, error } = console);
+    console.log = () => {};
+    console.error = () => {};
+    api = http.createServer(fakeGitHub);
+    await new Promise(resolve => api.listen(0, resolve));
+  });
+
+  afterAll(async () => {
+    Object.assign(console, { log, error });
+    await new Promise(resolve => api.close(resolve));
+  });
+
+  beforeEach(() => {
+    writes = [];
+
+    const config = {
+      ...MCP_CONFIG,
+      github: { apiUrl: `http://localhost:${api.address().port}` },
+      cache: { enabled: false },
+      rateLimiting: { ...MCP_CONFIG.rateLimiting, batchDelay: 0 },
+      repositories: {
+        ...MCP_CONFIG.repositories,
+        boilerplate: { owner: 'acme', repo: 'boilerplate' },
+        // Does not exist, so the common config is empty
+        commonConfig: { owner: 'acme', repo: 'common-config' }
+      }
+    };
+    agent = new FrontendAuditorAgent('token', { config });
+    remediation = new RemediationPullRequest(agent.source);
+  });
+
+  const audit = () => agent.source.inResolutionScope(async () => {
+    const auditData = await agent.auditEngine.fetchAuditData('acme', 'app');
+    return { auditData, auditReport: await agent.auditEngine.runAudit(auditData) };
+  });
+
+  const writesTo = path => writes.filter(write => write.path === path);
+
+  test('commits the fixes at or above the severity to a new branch and opens the pull request', async () => {
+    const { auditData, auditReport } = await audit();
+    const pullRequest = await remediation.open(auditData, auditReport, { severity: 'high', draft: true });
+
+    expect(pullRequest).toMatchObject({
+      number: 7,
+      url: 'https://github.test/acme/app/pull/7',
+      branch: 'frontend-auditor/remediation-aaaaaaa',
+      commitSha: COMMIT_SHA
+    });
+    expect(writesTo('/repos/acme/app/git/refs')[0].body).toEqual({
+      ref: 'refs/heads/frontend-auditor/remediation-aaaaaaa',
+      sha: APP_SHA
+    });
+
+    // Only the high issues are fixed: workspaces and turbo.json, not the low boilerplate script
+    const blobs = writesTo('/repos/acme/app/git/blobs').map(write => Buffer.from(write.body.content, 'base64').toString());
+    const [tree] = writesTo('/repos/acme/app/git/trees');
+    expect(tree.body.base_tree).toBe('tree-app');
+    expect(tree.body.tree.map(entry => entry.path)).toEqual(['package.json', 'turbo.json']);
+    expect(JSON.parse(blobs[0])).toEqual({ name: 'app', private: true, workspaces: ['apps/*'] });
+    expect(JSON.parse(blobs[1])).toEqual({ tasks: { build: {} } });
+
+    const [commit] = writesTo('/repos/acme/app/git/commits');
+    expect(commit.body).toMatchObject({ tree: 'new-tree', parents: [APP_SHA] });
+    expect(commit.body.message).toMatch(/^Fix 2 frontend audit issues\n/);
+    expect(writesTo('/repos/acme/app/git/refs/heads/frontend-auditor/remediation-aaaaaaa')[0].body.sha).toBe(COMMIT_SHA);
+
+    const [pull] = writesTo('/repos/acme/app/pulls');
+    expect(pull.body).toMatchObject({ head: 'frontend-auditor/remediation-aaaaaaa', base: 'main', draft: true });
+    expect(pull.body.body).toContain('`structure/workspaces`');
+    expect(pull.body.body).not.toContain('Script "build" from the boilerplate is missing');
+  });
+
+  test('plans without writing anything', async () => {
+    const { auditData, auditReport } = await audit();
+    const plan = remediation.plan(auditData, auditReport, { branch: 'fix/audit', base: 'develop' });
+
+    expect(plan).toMatchObject({ branch: 'fix/audit', base: 'develop', baseSha: APP_SHA });
+    expect(plan.fixedIssues.map(issue => issue.ruleId)).toContain('structure/boilerplate-scripts');
+    expect(plan.patch).toContain('+++ b/turbo.json');
+    expect(writes).toEqual([]);
+  });
+
+  test('refuses to open a pull request without fixable issues', async () => {
+    const { auditData, auditReport } = await audit();
+
+    await expect(remediation.open(auditData, auditReport, { severity: 'critical' }))
+      .rejects.toThrow('No fixable issues at the selected severity');
+    expect(writes).toEqual([]);
+  });
+
+  test('truncates pull request bodies GitHub would reject', async () => {
+    const { auditReport } = await audit();
+    const [category] = Object.keys(auditReport.categories);
+    const issue = { ruleId: 'docs/readme', severity: 'medium', message: 'x'.repeat(70000) };
+    const report = { ...auditReport, categories: { [category]: { ...auditReport.categories[category], issues: [issue] } } };
+
+    const body = remediation.buildBody(report, []);
+
+    expect(body.length).toBeLessThan(65536);
+    expect(body).toMatch(/_Report truncated; run `frontend-auditor audit --format markdown` for the full report._\n$/);
+  });
+});
@@ -6,22 +6,40 @@
 import { GitHubMCPClient } from './services/github-mcp-client.js';
 import { AuditEngine } from './audit/audit-engine.js';
 import { ReportGenerator } from './reports/report-generator.js';
+import { compareRepositories } from './audit/repository-comparison.js';
 
 export class FrontendAuditorAgent {
-  constructor(githubToken) {
-    this.githubClient = new GitHubMCPClient(githubToken);
-    this.auditEngine = new AuditEngine(this.githubClient);
+  /**
+   * @param {string} githubToken - GitHub access token (unused when options.source is given)
+   * @param {Object} [options]
+   * @param {RepositorySource} [options.source] - Alternative repository source, e.g. a LocalRepositorySource
+   * @param {AdvisoryDatabase} [options.advisoryDatabase] - Advisory export used by the security audit
+   * @param {RuleRegistry} [options.rules] - Rule registry with project overrides
+   * @param {Object} [options.config] - Configuration for the GitHub source, e.g. from loadProjectConfig()
+   */
+  constructor(githubToken, options = {}) {
+    this.source = options.source || new GitHubMCPClient(githubToken, options.config);
+    this.auditEngine = new AuditEngine(this.source, {
+      advisoryDatabase: options.advisoryDatabase,
+      rules: options.rules
+    });
     this.reportGenerator = new ReportGenerator();
   }
 
   /**
    * Audit a repository against DTSL standards
+   * (`options.ref` selects a branch, tag or commit SHA; defaults to the configured or default branch;
+   * `options.baseline` is a baseline object from loadBaseline() whose issues are suppressed)
    */
   async auditRepository(owner, repo, options = {}) {
     try {
       console.log(`Starting audit for ${owner}/${repo}...`);
       
-      const auditReport = await this.auditEngine.auditRepository(owner, repo);
+      let auditReport = await this.auditEngine.auditRepository(owner, repo, { ref: options.ref });
+
+      if (options.baseline) {
+        auditReport = this.auditEngine.applyBaseline(auditReport, options.baseline);
+      }
       
       if (options.format) {
         return this.generateReport(auditReport, options.format);
@@ -46,6 +64,10 @@ export class FrontendAuditorAgent {
         return this.reportGenerator.generateMarkdown(auditReport);
       case 'html':
         return this.reportGenerator.generateHTML(auditReport);
+      case 'sarif':
+        return this.reportGenerator.generateSARIF(auditReport);
+      case 'junit':
+        return this.reportGenerator.generateJUnit(auditReport);
       case 'executive':
         return this.reportGenerator.generateExecutiveSummary(auditReport);
       default:
@@ -63,42 +85,43 @@ export class FrontendAuditorAgent {
   /**
    * Get repository metadata
    */
-  async getRepositoryMetadata(owner, repo) {
-    return this.githubClient.getRepositoryDataChunked(owner, repo);
+  async getRepositoryMetadata(owner, repo, options = {}) {
+    return this.source.getRepositoryDataChunked(owner, repo, { ref: options.ref });
   }
 
   /**
-   * Compare two repositories
+   * Compare two repositories: dependency versions across workspaces, root
+   * scripts, configuration file diffs and audit scores side by side
+   *
+   * @param {{ owner, repo, ref }} repo1
+   * @param {{ owner, repo, ref }} repo2
    */
   async compareRepositories(repo1, repo2) {
-    const [data1, data2] = await Promise.all([
-      this.githubClient.getRepositoryDataChunked(repo1.owner, repo1.repo),
-      this.githubClient.getRepositoryDataChunked(repo2.owner, repo2.repo)
-    ]);
-
-    return {
-      repository1: data1,
-      repository2: data2,
-      comparison: {
-        // This could be expanded to include detailed comparisons
-        packageFileCount: {
-          repo1: data1.packageFiles.length,
-          repo2: data2.packageFiles.length
-        },
-        configFileCount: {
-          repo1: data1.configFiles.length,
-          repo2: data2.configFiles.length
-        }
-      }
-    };
+    return compareRepositories(this.auditEngine, repo1, repo2);
   }
 }
 
 // Export individual components for advanced usage
+export { RepositorySource } from './services/repository-source.js';
 export { GitHubMCPClient } from './services/github-mcp-client.js';
+export { LocalRepositorySource } from './services/local-repository-source.js';
 export { AuditEngine } from './audit/audit-engine.js';
 export { ReportGenerator } from './reports/report-generator.js';
+export { AdvisoryDatabase } from './audit/advisory-database.js';
+export { DependencyPolicy } from './audit/dependency-policy.js';
+export { RuleRegistry } from './audit/rule-registry.js';
+export { createBaseline, loadBaseline, saveBaseline, baselineKey } from './audit/baseline.js';
+export { evaluateQualityGate, formatGateSummary } from './audit/quality-gate.js';
+export { compareRepositoryData } from './audit/repository-comparison.js';
+export { FleetAuditor, aggregateFleetResults, loadRepositoryList } from './audit/fleet-auditor.js';
+export { HistoryStore, compareRuns, issueFingerprint } from './services/history-store.js';
+export { ContentCache } from './services/content-cache.js';
+export { AuditorMCPServer, serveStdio, LATEST_REPORT_URI } from './mcp/auditor-server.js';
+export { AUDIT_RULES } from './audit/rules.js';
+export { AutoFixer, applyChanges } from './fixes/auto-fixer.js';
+export { RemediationPullRequest, filterReportBySeverity } from './fixes/remediation.js';
 export { MCP_CONFIG, AUDIT_CATEGORIES, SEVERITY_LEVELS } from './config/mcp-config.js';
+export { loadProjectConfig, findConfigFile, validateConfig, mergeConfig } from './config/config-loader.js';
 
 // Default export
 export default FrontendAuditorAgent;
\ No newline at end of file
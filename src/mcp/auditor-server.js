@@ -0,0 +1,243 @@
+/**
+ * MCP Server for Frontend Auditor Agent
+ * Serves the auditor over the Model Context Protocol so any MCP client can
+ * run audits and comparisons, look up rules and explain issues. The latest
+ * report of each audited repository is exposed as a resource.
+ */
+
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { z } from 'zod';
+import { AUDIT_CATEGORIES } from '../config/mcp-config.js';
+import { parseRepositorySpec } from '../audit/fleet-auditor.js';
+
+export const LATEST_REPORT_URI = 'audit://reports/latest';
+
+const REPORT_FORMATS = ['markdown', 'json', 'sarif', 'junit', 'executive'];
+
+export class AuditorMCPServer {
+  /**
+   * @param {FrontendAuditorAgent} agent - Agent the tools run audits with
+   * @param {Object} [options]
+   * @param {string} [options.name] - Server name reported to clients
+   * @param {string} [options.version] - Server version reported to clients
+   */
+  constructor(agent, { name = 'frontend-auditor', version = '1.0.0' } = {}) {
+    this.agent = agent;
+    // `${owner}/${repo}` -> latest audit report of that repository
+    this.reports = new Map();
+    this.latestReport = null;
+
+    this.server = new McpServer({ name, version });
+    this.registerTools();
+    this.registerResources();
+  }
+
+  /**
+   * Serve on a transport, e.g. a StdioServerTransport or one half of an
+   * InMemoryTransport pair
+   */
+  async connect(transport) {
+    await this.server.connect(transport);
+  }
+
+  async close() {
+    await this.server.close();
+  }
+
+  registerTools() {
+    this.server.registerTool('audit_repository', {
+      title: 'Audit repository',
+      description: 'Audit a GitHub repository against the DTSL monorepo standards and return the report',
+      inputSchema: {
+        owner: z.string().describe('Repository owner'),
+        repo: z.string().describe('Repository name'),
+        ref: z.string().optional().describe('Branch, tag or commit SHA (default: configured branch, else the default branch)'),
+        format: z.enum(REPORT_FORMATS).default('markdown').describe('Report format')
+      },
+      annotations: { readOnlyHint: true, openWorldHint: true }
+    }, ({ owner, repo, ref, format }) => this.runTool(`Audit of ${owner}/${repo}`, async () => {
+      const auditReport = await this.agent.auditRepository(owner, repo, { ref });
+      this.storeReport(auditReport);
+      return this.agent.generateReport(auditReport, format);
+    }));
+
+    this.server.registerTool('compare_repositories', {
+      title: 'Compare repositories',
+      description: 'Compare dependency versions, root scripts, configuration files and audit scores of two repositories',
+      inputSchema: {
+        repo1: z.string().describe('First repository (owner/repo or owner/repo@ref)'),
+        repo2: z.string().describe('Second repository (owner/repo or owner/repo@ref)'),
+        format: z.enum(['markdown', 'json']).default('markdown').describe('Report format')
+      },
+      annotations: { readOnlyHint: true, openWorldHint: true }
+    }, ({ repo1, repo2, format }) => this.runTool(`Comparison of ${repo1} with ${repo2}`, async () => {
+      const comparison = await this.agent.compareRepositories(parseRepositorySpec(repo1), parseRepositorySpec(repo2));
+      return format === 'json'
+        ? JSON.stringify(comparison, null, 2)
+        : this.agent.reportGenerator.generateComparisonMarkdown(comparison);
+    }));
+
+    this.server.registerTool('list_rules', {
+      title: 'List rules',
+      description: 'List the audit rules with their IDs, categories and effective severities',
+      inputSchema: {
+        category: z.enum(Object.values(AUDIT_CATEGORIES)).optional().describe('Only list rules of this category')
+      },
+      annotations: { readOnlyHint: true, openWorldHint: false }
+    }, ({ category }) => this.runTool('Listing rules', async () => {
+      const rules = this.agent.auditEngine.rules.list().filter(rule => !category || rule.category === category);
+
+      return [
+        '| Rule | Category | Severity | Description |',
+        '|------|----------|----------|-------------|',
+        ...rules.map(rule => `| ${rule.id} | ${rule.category} | ${rule.enabled ? rule.severity : 'off'} | ${rule.description} |`)
+      ].join('\n');
+    }));
+
+    this.server.registerTool('explain_issue', {
+      title: 'Explain issue',
+      description: 'Explain an audit rule and list its issues in the latest report of a repository',
+      inputSchema: {
+        ruleId: z.string().describe('Rule ID, e.g. structure/workspaces'),
+        owner: z.string().optional().describe('Repository owner (default: the most recently audited repository)'),
+        repo: z.string().optional().describe('Repository name')
+      },
+      annotations: { readOnlyHint: true, openWorldHint: false }
+    }, ({ ruleId, owner, repo }) => this.runTool(`Explaining ${ruleId}`, async () => {
+      const rule = this.agent.auditEngine.rules.resolve(ruleId);
+      const auditReport = owner && repo ? this.reports.get(`${owner}/${repo}`) : this.latestReport;
+      return formatExplanation(rule, auditReport, owner && repo ? `${owner}/${repo}` : null);
+    }));
+  }
+
+  registerResources() {
+    this.server.registerResource('latest-report', LATEST_REPORT_URI, {
+      title: 'Latest audit report',
+      description: 'JSON report of the most recent audit',
+      mimeType: 'application/json'
+    }, async uri => {
+      if (!this.latestReport) {
+        throw new Error('No audit has been run yet; call the audit_repository tool first');
+      }
+      return reportContents(uri, this.latestReport);
+    });
+
+    this.server.registerResource('repository-report', new ResourceTemplate('audit://reports/{owner}/{repo}', {
+      list: async () => ({
+        resources: [...this.reports.keys()].map(name => ({
+          uri: `audit://reports/${name}`,
+          name: `${name} audit report`,
+          mimeType: 'application/json'
+        }))
+      })
+    }), {
+      title: 'Repository audit report',
+      description: 'JSON report of the latest audit of a repository',
+      mimeType: 'application/json'
+    }, async (uri, { owner, repo }) => {
+      const auditReport = this.reports.get(`${owner}/${repo}`);
+      if (!auditReport) {
+        throw new Error(`No audit of ${owner}/${repo} has been run yet`);
+      }
+      return reportContents(uri, auditReport);
+    });
+  }
+
+  /**
+   * Keep a report as the latest of its repository and tell clients the
+   * resource list changed
+   */
+  storeReport(auditReport) {
+    const { owner, repo } = auditReport.repository;
+    this.reports.set(`${owner}/${repo}`, auditReport);
+    this.latestReport = auditReport;
+
+    if (this.server.isConnected()) {
+      this.server.sendResourceListChanged();
+    }
+  }
+
+  /**
+   * Run a tool and return its text; failures are returned as tool errors
+   * for the client to read instead of protocol errors. Each call resolves
+   * refs afresh, so the long-lived server sees pushes and every ref.
+   */
+  async runTool(description, run) {
+    try {
+      return { content: [{ type: 'text', text: await this.agent.source.inResolutionScope(run) }] };
+    } catch (error) {
+      console.error(`${description} failed:`, error.message);
+      return { content: [{ type: 'text', text: `${description} failed: ${error.message}` }], isError: true };
+    }
+  }
+}
+
+/**
+ * Serve an AuditorMCPServer on stdin/stdout. stdout carries the protocol,
+ * so log output of the audits is moved to stderr.
+ */
+export async function serveStdio(auditorServer) {
+  console.log = console.error;
+  console.info = console.error;
+
+  const transport = new StdioServerTransport();
+  await auditorServer.connect(transport);
+  return transport;
+}
+
+function severityLabel(rule) {
+  if (!rule.enabled) return 'off (disabled by the project config)';
+  return rule.severityOverridden ? `${rule.severity} (set by the project config)` : rule.severity;
+}
+
+function reportContents(uri, auditReport) {
+  return {
+    contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(auditReport, null, 2) }]
+  };
+}
+
+/**
+ * Markdown explanation of a rule with the issues it raised in a report
+ */
+function formatExplanation(rule, auditReport, requestedRepository) {
+  const lines = [
+    `## ${rule.id}`,
+    '',
+    rule.description,
+    '',
+    `- **Category:** ${rule.category}`,
+    `- **Severity:** ${severityLabel(rule)}`,
+    ''
+  ];
+
+  if (!auditReport) {
+    lines.push(requestedRepository
+      ? `No audit of ${requestedRepository} has been run yet; call audit_repository to find its issues.`
+      : 'No audit has been run yet; call audit_repository to find issues for this rule.');
+    return lines.join('\n');
+  }
+
+  const { owner, repo, sha } = auditReport.repository;
+  const issues = Object.values(auditReport.categories).flatMap(category => category.issues)
+    .filter(issue => issue.ruleId === rule.id);
+  const audited = `${owner}/${repo}${sha ? ` (${sha.slice(0, 7)})` : ''}`;
+
+  if (issues.length === 0) {
+    lines.push(`No issues for this rule in the latest audit of ${audited}.`);
+    return lines.join('\n');
+  }
+
+  lines.push(`### ${issues.length} issue${issues.length === 1 ? '' : 's'} in ${audited}`, '');
+  issues.forEach(issue => {
+    lines.push(`- **${issue.severity.toUpperCase()}** ${issue.message}${issue.file ? ` (\`${issue.file}${issue.line ? `:${issue.line}` : ''}\`)` : ''}`);
+    if (issue.description) {
+      lines.push(`  ${issue.description}`);
+    }
+    if (issue.suggestion) {
+      lines.push(`  Suggestion: ${issue.suggestion}`);
+    }
+  });
+
+  return lines.join('\n');
+}
@@ -0,0 +1,165 @@
+/**
+ * Drives the MCP server through an in-process client, against a small fake
+ * GitHub API serving a repository with two branches
+ */
+
+import http from 'http';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, test } from '@jest/globals';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { FrontendAuditorAgent } from '../index.js';
+import { MCP_CONFIG } from '../config/mcp-config.js';
+import { AuditorMCPServer, LATEST_REPORT_URI } from './auditor-server.js';
+
+const MAIN_SHA = 'a'.repeat(40);
+const DEV_SHA = 'd'.repeat(40);
+const PUSHED_SHA = 'e'.repeat(40);
+
+const packageJson = pkg => JSON.stringify(pkg, null, 2);
+
+// Commit SHA -> files of the repository at that commit
+const COMMITS = {
+  [MAIN_SHA]: { 'package.json': packageJson({ name: 'app' }) },
+  [DEV_SHA]: { 'package.json': packageJson({ name: 'app', workspaces: ['apps/*'], engines: { node: '>=20' } }) },
+  [PUSHED_SHA]: { 'package.json': packageJson({ name: 'app', packageManager: 'pnpm@9.0.0' }) }
+};
+
+let branches;
+
+/**
+ * The parts of the GitHub API the audit reads: repository, commits, trees and blobs
+ */
+function fakeGitHub(request, response) {
+  const send = (status, body) => {
+    response.writeHead(status, { 'content-type': 'application/json' });
+    response.end(JSON.stringify(body));
+  };
+  const path = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+  let match;
+
+  if ((match = path.match(/^\/repos\/acme\/app\/commits\/(.+)$/))) {
+    const sha = branches[match[1]] || (COMMITS[match[1]] && match[1]);
+    return sha ? send(200, { sha }) : send(422, { message: `No commit found for ${match[1]}` });
+  }
+  if ((match = path.match(/^\/repos\/acme\/app\/git\/trees\/(\w+)$/)) && COMMITS[match[1]]) {
+    const tree = Object.entries(COMMITS[match[1]]).map(([file, content]) => ({
+      path: file,
+      type: 'blob',
+      size: content.length,
+      sha: Buffer.from(`${match[1]}:${file}`).toString('hex')
+    }));
+    return send(200, { sha: match[1], truncated: false, tree });
+  }
+  if ((match = path.match(/^\/repos\/acme\/app\/git\/blobs\/(\w+)$/))) {
+    const [sha, file] = Buffer.from(match[1], 'hex').toString().split(':');
+    const content = COMMITS[sha][file];
+    return send(200, { sha: match[1], size: content.length, encoding: 'base64', content: Buffer.from(content).toString('base64') });
+  }
+  if (path === '/repos/acme/app') {
+    return send(200, { default_branch: 'main' });
+  }
+  send(404, { message: 'Not Found' });
+}
+
+describe('AuditorMCPServer', () => {
+  let api;
+  let server;
+  let client;
+  let log;
+  let error;
+
+  beforeAll(async () => {
+    // Audit progress and the expected failures are logged
+    ({ log, error } = console);
+    console.log = () => {};
+    console.error = () => {};
+    api = http.createServer(fakeGitHub);
+    await new Promise(resolve => api.listen(0, resolve));
+  });
+
+  afterAll(async () => {
+    Object.assign(console, { log, error });
+    await new Promise(resolve => api.close(resolve));
+  });
+
+  beforeEach(async () => {
+    branches = { main: MAIN_SHA, dev: DEV_SHA };
+
+    const config = {
+      ...MCP_CONFIG,
+      github: { apiUrl: `http://localhost:${api.address().port}` },
+      cache: { enabled: false },
+      rateLimiting: { ...MCP_CONFIG.rateLimiting, batchDelay: 0 },
+      repositories: {
+        ...MCP_CONFIG.repositories,
+        // Neither exists, so the boilerplate and common config are empty
+        boilerplate: { owner: 'acme', repo: 'boilerplate' },
+        commonConfig: { owner: 'acme', repo: 'common-config' }
+      }
+    };
+    server = new AuditorMCPServer(new FrontendAuditorAgent('token', { config }));
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(clientTransport);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await server.close();
+  });
+
+  const audit = async args => {
+    const result = await client.callTool({ name: 'audit_repository', arguments: { owner: 'acme', repo: 'app', format: 'json', ...args } });
+    expect(result.isError).toBeFalsy();
+    return JSON.parse(result.content[0].text);
+  };
+
+  test('lists the auditor tools', async () => {
+    const { tools } = await client.listTools();
+    expect(tools.map(tool => tool.name).sort()).toEqual(['audit_repository', 'compare_repositories', 'explain_issue', 'list_rules']);
+  });
+
+  test('audits each requested ref at its own commit', async () => {
+    const main = await audit({ ref: 'main' });
+    const dev = await audit({ ref: 'dev' });
+
+    expect(main.repository).toMatchObject({ ref: 'main', sha: MAIN_SHA });
+    expect(dev.repository).toMatchObject({ ref: 'dev', sha: DEV_SHA });
+    expect(dev.summary.totalIssues).toBeLessThan(main.summary.totalIssues);
+  });
+
+  test('sees a push to the branch on the next call', async () => {
+    expect((await audit({})).repository.sha).toBe(MAIN_SHA);
+
+    branches.main = PUSHED_SHA;
+    expect((await audit({})).repository.sha).toBe(PUSHED_SHA);
+  });
+
+  test('serves the latest report as a resource', async () => {
+    await expect(client.readResource({ uri: LATEST_REPORT_URI })).rejects.toThrow('No audit has been run yet');
+
+    await audit({ ref: 'dev' });
+    const { contents } = await client.readResource({ uri: LATEST_REPORT_URI });
+    expect(JSON.parse(contents[0].text).repository.sha).toBe(DEV_SHA);
+
+    const { resources } = await client.listResources();
+    expect(resources.map(resource => resource.uri)).toContain('audit://reports/acme/app');
+  });
+
+  test('explains a rule with its issues in the latest report', async () => {
+    await audit({ ref: 'main' });
+    const result = await client.callTool({ name: 'explain_issue', arguments: { ruleId: 'structure/workspaces' } });
+
+    expect(result.content[0].text).toContain('## structure/workspaces');
+    expect(result.content[0].text).toContain('1 issue in acme/app (aaaaaaa)');
+  });
+
+  test('returns unknown rules as tool errors', async () => {
+    const result = await client.callTool({ name: 'explain_issue', arguments: { ruleId: 'structure/unknown' } });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('Unknown rule: structure/unknown');
+  });
+});
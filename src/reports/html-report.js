@@ -0,0 +1,312 @@
+/**
+ * HTML Report for Frontend Auditor Agent
+ * Renders an audit report as a single self-contained HTML page (inline CSS
+ * and script, no external requests) with summary cards, category score
+ * gauges, severity-styled issue cards and client-side filtering
+ */
+
+import { SEVERITY_LEVELS } from '../config/mcp-config.js';
+
+const SEVERITIES = [
+  SEVERITY_LEVELS.CRITICAL,
+  SEVERITY_LEVELS.HIGH,
+  SEVERITY_LEVELS.MEDIUM,
+  SEVERITY_LEVELS.LOW,
+  SEVERITY_LEVELS.INFO
+];
+
+/**
+ * Render the full HTML document
+ */
+export function renderHTMLReport(auditReport) {
+  const { repository, summary, categories, timestamp } = auditReport;
+  const title = `Frontend Audit Report - ${repository.owner}/${repository.repo}`;
+  const categoryNames = Object.keys(categories);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHTML(title)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <header>
+    <h1>Frontend Audit Report</h1>
+    <p class="meta">
+      <strong>${escapeHTML(`${repository.owner}/${repository.repo}`)}</strong>
+      ${repository.sha ? `at <code>${escapeHTML(repository.ref)}</code> (<code>${escapeHTML(repository.sha.slice(0, 7))}</code>)` : ''}
+      &middot; generated ${escapeHTML(new Date(timestamp).toLocaleString())}
+    </p>
+  </header>
+
+  <section class="cards">
+    ${renderScoreCard('Compliance Score', summary.complianceScore)}
+    ${renderCountCard('Total Issues', summary.totalIssues, 'total')}
+    ${renderCountCard('Critical', summary.criticalIssues, SEVERITY_LEVELS.CRITICAL)}
+    ${renderCountCard('High', summary.highIssues, SEVERITY_LEVELS.HIGH)}
+    ${renderCountCard('Medium', summary.mediumIssues, SEVERITY_LEVELS.MEDIUM)}
+    ${renderCountCard('Low', summary.lowIssues, SEVERITY_LEVELS.LOW)}
+  </section>
+
+  ${renderBaseline(auditReport.baseline)}
+
+  <section>
+    <h2>Category Scores</h2>
+    <div class="gauges">
+      ${Object.entries(categories).map(([name, categoryData]) => renderGauge(name, categoryData)).join('\n      ')}
+    </div>
+  </section>
+
+  <section>
+    <h2>Issues</h2>
+    <form class="filters" id="filters" onsubmit="return false">
+      <fieldset>
+        <legend>Severity</legend>
+        ${SEVERITIES.map(severity => `
+        <label><input type="checkbox" name="severity" value="${severity}" checked> ${capitalize(severity)}</label>`).join('')}
+      </fieldset>
+      <label>Category
+        <select name="category">
+          <option value="">All categories</option>
+          ${categoryNames.map(name => `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`).join('\n          ')}
+        </select>
+      </label>
+      <label>File
+        <input type="search" name="file" placeholder="e.g. package.json">
+      </label>
+      <span class="visible-count" id="visible-count"></span>
+    </form>
+
+    ${Object.entries(categories).map(([name, categoryData]) => renderCategory(name, categoryData)).join('\n    ')}
+    <p class="empty" id="no-matches" hidden>No issues match the filters.</p>
+  </section>
+
+  ${renderRecommendations(auditReport.recommendations)}
+
+  <footer>Generated by Frontend Auditor Agent to help maintain DTSL frontend standards.</footer>
+
+  <script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+function renderScoreCard(label, score) {
+  return `<div class="card score ${scoreClass(score)}"><span class="value">${score}%</span><span class="label">${escapeHTML(label)}</span></div>`;
+}
+
+function renderCountCard(label, count, modifier) {
+  return `<div class="card count ${modifier}"><span class="value">${count}</span><span class="label">${escapeHTML(label)}</span></div>`;
+}
+
+function renderGauge(name, categoryData) {
+  return `<div class="gauge ${scoreClass(categoryData.score)}" style="--score: ${categoryData.score}">` +
+    `<div class="ring"><span>${categoryData.score}%</span></div>` +
+    `<span class="label">${escapeHTML(name)}</span></div>`;
+}
+
+function renderCategory(name, categoryData) {
+  if (categoryData.issues.length === 0) {
+    return `<details class="category" data-category="${escapeHTML(name)}" data-empty>
+      <summary><span class="name">${escapeHTML(name)}</span> <span class="badge ${scoreClass(categoryData.score)}">${categoryData.score}%</span> <span class="issue-count">No issues</span></summary>
+    </details>`;
+  }
+
+  return `<details class="category" data-category="${escapeHTML(name)}" open>
+      <summary><span class="name">${escapeHTML(name)}</span> <span class="badge ${scoreClass(categoryData.score)}">${categoryData.score}%</span> <span class="issue-count">${categoryData.issues.length} issues</span></summary>
+      ${categoryData.issues.map(issue => renderIssue(issue, name)).join('\n      ')}
+    </details>`;
+}
+
+function renderIssue(issue, category) {
+  const location = issue.file ? `${issue.file}${issue.line ? `:${issue.line}` : ''}` : 'N/A';
+
+  return `<article class="issue-card ${escapeHTML(issue.severity)}" data-severity="${escapeHTML(issue.severity)}" data-category="${escapeHTML(category)}" data-file="${escapeHTML(issue.file || '')}">
+        <header>
+          <span class="severity ${escapeHTML(issue.severity)}">${escapeHTML(issue.severity.toUpperCase())}</span>
+          <h3>${escapeHTML(issue.message)}</h3>
+          ${issue.fixable ? '<span class="fixable" title="frontend-auditor fix">fixable</span>' : ''}
+        </header>
+        <dl>
+          ${issue.ruleId ? `<dt>Rule</dt><dd><code>${escapeHTML(issue.ruleId)}</code></dd>` : ''}
+          <dt>File</dt><dd><code>${escapeHTML(location)}</code></dd>
+          <dt>Description</dt><dd>${escapeHTML(issue.description || 'No description provided')}</dd>
+          ${issue.suggestion ? `<dt>Suggestion</dt><dd>${escapeHTML(issue.suggestion)}</dd>` : ''}
+        </dl>
+        ${issue.diff ? `<pre class="diff">${renderDiff(issue.diff)}</pre>` : ''}
+      </article>`;
+}
+
+function renderDiff(diff) {
+  return diff.split('\n').map(line => {
+    const kind = line.startsWith('+') && !line.startsWith('+++') ? 'added'
+      : line.startsWith('-') && !line.startsWith('---') ? 'removed'
+        : line.startsWith('@@') ? 'hunk' : '';
+    return kind ? `<span class="${kind}">${escapeHTML(line)}</span>` : escapeHTML(line);
+  }).join('\n');
+}
+
+function renderBaseline(baseline) {
+  if (!baseline) return '';
+
+  return `<section class="baseline">
+    <p>Only issues missing from the baseline of ${escapeHTML(new Date(baseline.createdAt).toLocaleString())} are listed.
+    ${baseline.suppressedIssues} baselined issues are hidden; the compliance score including them is ${baseline.complianceScore.allIssues}%.</p>
+    ${baseline.resolvedIssues.length > 0 ? `<details>
+      <summary>${baseline.resolvedIssues.length} issues resolved since the baseline</summary>
+      <ul>
+        ${baseline.resolvedIssues.map(issue => `<li><code>${escapeHTML(issue.ruleId)}</code> ${escapeHTML(issue.message)} (<code>${escapeHTML(issue.file || 'N/A')}</code>)</li>`).join('\n        ')}
+      </ul>
+    </details>` : ''}
+  </section>`;
+}
+
+function renderRecommendations(recommendations = []) {
+  if (recommendations.length === 0) return '';
+
+  return `<section>
+    <details open>
+      <summary><h2>Recommendations</h2></summary>
+      <ol>
+        ${recommendations.map(recommendation => `<li>${escapeHTML(recommendation)}</li>`).join('\n        ')}
+      </ol>
+    </details>
+  </section>`;
+}
+
+function scoreClass(score) {
+  if (score >= 90) return 'score-good';
+  if (score >= 70) return 'score-warning';
+  return 'score-danger';
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+/**
+ * Escape text for HTML element content and attribute values
+ */
+export function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const STYLES = `
+    * { box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+    }
+    h1, h2, h3 { line-height: 1.25; }
+    .meta { color: #6c757d; }
+    code { background: #f8f9fa; padding: 2px 4px; border-radius: 3px; }
+    .cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 12px; margin: 20px 0; }
+    .card { background: #f8f9fa; border-radius: 8px; padding: 16px; display: flex; flex-direction: column; border-top: 4px solid #e9ecef; }
+    .card .value { font-size: 2em; font-weight: 700; }
+    .card .label { color: #6c757d; }
+    .card.critical { border-top-color: #dc3545; }
+    .card.high { border-top-color: #fd7e14; }
+    .card.medium { border-top-color: #ffc107; }
+    .card.low { border-top-color: #6c757d; }
+    .score-good { color: #28a745; }
+    .score-warning { color: #d39e00; }
+    .score-danger { color: #dc3545; }
+    .gauges { display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 16px; }
+    .gauge { display: flex; flex-direction: column; align-items: center; text-align: center; }
+    .gauge .ring {
+      width: 96px; height: 96px; border-radius: 50%; display: grid; place-items: center;
+      background: conic-gradient(currentColor calc(var(--score) * 1%), #e9ecef 0);
+    }
+    .gauge .ring span { width: 72px; height: 72px; border-radius: 50%; background: #fff; display: grid; place-items: center; font-weight: 700; }
+    .gauge .label { color: #333; margin-top: 8px; font-size: 0.9em; }
+    .filters { display: flex; flex-wrap: wrap; gap: 16px; align-items: flex-end; background: #f8f9fa; border-radius: 8px; padding: 12px 16px; margin-bottom: 16px; }
+    .filters fieldset { border: 0; padding: 0; margin: 0; }
+    .filters legend { padding: 0; }
+    .filters label { display: inline-flex; gap: 4px; align-items: center; margin-right: 8px; }
+    .filters select, .filters input[type="search"] { padding: 4px 8px; margin-left: 4px; }
+    .visible-count { color: #6c757d; margin-left: auto; }
+    .category { margin: 12px 0; border: 1px solid #e9ecef; border-radius: 8px; padding: 8px 16px; }
+    .category summary { cursor: pointer; font-size: 1.1em; }
+    .category .name { font-weight: 600; }
+    .category .issue-count { color: #6c757d; font-size: 0.9em; }
+    .badge { font-weight: 700; }
+    .issue-card {
+      border-left: 4px solid #e9ecef;
+      padding: 12px 15px;
+      margin: 10px 0;
+      background: #fff;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .issue-card header { display: flex; gap: 8px; align-items: baseline; }
+    .issue-card h3 { font-size: 1em; margin: 0; flex: 1; }
+    .issue-card dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; margin: 8px 0 0; }
+    .issue-card dt { color: #6c757d; }
+    .issue-card dd { margin: 0; }
+    .critical { border-left-color: #dc3545; }
+    .high { border-left-color: #fd7e14; }
+    .medium { border-left-color: #ffc107; }
+    .low { border-left-color: #6c757d; }
+    .info { border-left-color: #adb5bd; }
+    .severity { font-size: 0.75em; font-weight: 700; padding: 2px 6px; border-radius: 3px; color: #fff; background: #6c757d; }
+    .severity.critical { background: #dc3545; }
+    .severity.high { background: #fd7e14; }
+    .severity.medium { background: #ffc107; color: #333; }
+    .fixable { font-size: 0.75em; padding: 2px 6px; border-radius: 3px; background: #d4edda; color: #155724; }
+    .diff { background: #f8f9fa; padding: 8px; overflow-x: auto; font-size: 0.85em; }
+    .diff .added { color: #28a745; }
+    .diff .removed { color: #dc3545; }
+    .diff .hunk { color: #6f42c1; }
+    .baseline { background: #e8f4fd; border-radius: 8px; padding: 8px 16px; }
+    .empty { color: #6c757d; }
+    [hidden] { display: none !important; }
+    footer { margin-top: 40px; color: #6c757d; font-size: 0.9em; }
+`;
+
+// Client-side filtering; runs offline, no dependencies
+const SCRIPT = `
+    (function () {
+      var form = document.getElementById('filters');
+      var cards = Array.prototype.slice.call(document.querySelectorAll('.issue-card'));
+      var categories = Array.prototype.slice.call(document.querySelectorAll('.category'));
+
+      function applyFilters() {
+        var severities = Array.prototype.slice.call(form.querySelectorAll('input[name="severity"]:checked'))
+          .map(function (input) { return input.value; });
+        var category = form.elements.category.value;
+        var file = form.elements.file.value.trim().toLowerCase();
+        var visible = 0;
+
+        cards.forEach(function (card) {
+          var show = severities.indexOf(card.dataset.severity) !== -1 &&
+            (!category || card.dataset.category === category) &&
+            (!file || card.dataset.file.toLowerCase().indexOf(file) !== -1);
+          card.hidden = !show;
+          if (show) visible++;
+        });
+
+        categories.forEach(function (section) {
+          var hasVisible = section.querySelector('.issue-card:not([hidden])') !== null;
+          var filtering = category || file || severities.length < form.querySelectorAll('input[name="severity"]').length;
+          section.hidden = category ? section.dataset.category !== category : (filtering && !hasVisible);
+        });
+
+        document.getElementById('visible-count').textContent = visible + ' of ' + cards.length + ' issues';
+        document.getElementById('no-matches').hidden = visible > 0 || cards.length === 0;
+      }
+
+      form.addEventListener('input', applyFilters);
+      form.addEventListener('change', applyFilters);
+      applyFilters();
+    })();
+`;
@@ -1,17 +1,43 @@
 /**
  * Report Generator for Frontend Auditor Agent
- * Generates reports in various formats (JSON, Markdown, HTML)
+ * Generates reports in various formats (JSON, Markdown, HTML, SARIF, JUnit)
  */
 
 import { writeFile } from 'fs/promises';
-import { SEVERITY_LEVELS } from '../config/mcp-config.js';
+import { AUDIT_CATEGORIES, SEVERITY_LEVELS } from '../config/mcp-config.js';
+import { AUDIT_RULES } from '../audit/rules.js';
+import { renderHTMLReport } from './html-report.js';
+import { compareRuns } from '../services/history-store.js';
+
+// Most severe first
+const SEVERITY_ORDER = [
+  SEVERITY_LEVELS.CRITICAL,
+  SEVERITY_LEVELS.HIGH,
+  SEVERITY_LEVELS.MEDIUM,
+  SEVERITY_LEVELS.LOW,
+  SEVERITY_LEVELS.INFO
+];
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// SARIF result levels, and the scores code scanning ranks security rules by
+const SARIF_LEVELS = {
+  [SEVERITY_LEVELS.CRITICAL]: { level: 'error', securitySeverity: '9.5' },
+  [SEVERITY_LEVELS.HIGH]: { level: 'error', securitySeverity: '8.0' },
+  [SEVERITY_LEVELS.MEDIUM]: { level: 'warning', securitySeverity: '5.5' },
+  [SEVERITY_LEVELS.LOW]: { level: 'note', securitySeverity: '2.0' },
+  [SEVERITY_LEVELS.INFO]: { level: 'note', securitySeverity: '0.0' }
+};
 
 export class ReportGenerator {
   constructor() {
     this.reportTemplates = {
       markdown: this.generateMarkdown.bind(this),
       json: this.generateJSON.bind(this),
-      html: this.generateHTML.bind(this)
+      html: this.generateHTML.bind(this),
+      sarif: this.generateSARIF.bind(this),
+      junit: this.generateJUnit.bind(this),
+      executive: this.generateExecutiveSummary.bind(this)
     };
   }
 
@@ -22,6 +48,146 @@ export class ReportGenerator {
     return JSON.stringify(auditReport, null, 2);
   }
 
+  /**
+   * Generate SARIF 2.1.0 report for code scanning tools. Every audit rule
+   * is a SARIF rule tagged with its category; issues become results located
+   * at their file (and line, when known).
+   */
+  generateSARIF(auditReport) {
+    const { repository, categories } = auditReport;
+    const rules = AUDIT_RULES.map(rule => ({
+      id: rule.id,
+      name: rule.id.split('/')[1].replace(/(^|-)(\w)/g, (match, dash, letter) => letter.toUpperCase()),
+      shortDescription: { text: rule.description },
+      defaultConfiguration: { level: SARIF_LEVELS[rule.severity].level },
+      properties: {
+        category: rule.category,
+        tags: [rule.category],
+        // Only security rules should surface as security alerts
+        ...(rule.category === AUDIT_CATEGORIES.SECURITY && {
+          'security-severity': SARIF_LEVELS[rule.severity].securitySeverity
+        })
+      }
+    }));
+    const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+
+    const results = Object.entries(categories).flatMap(([category, categoryData]) => categoryData.issues.map(issue => {
+      const sarifLevel = SARIF_LEVELS[issue.severity] || SARIF_LEVELS[SEVERITY_LEVELS.INFO];
+      const result = {
+        ruleId: issue.ruleId,
+        ...(ruleIndex.has(issue.ruleId) && { ruleIndex: ruleIndex.get(issue.ruleId) }),
+        level: sarifLevel.level,
+        message: { text: issue.description ? `${issue.message}. ${issue.description}` : issue.message },
+        properties: {
+          severity: issue.severity,
+          // The finding's own severity, e.g. a critical advisory of a rule that defaults to medium
+          ...(category === AUDIT_CATEGORIES.SECURITY && { 'security-severity': sarifLevel.securitySeverity })
+        }
+      };
+
+      // Repository-wide issues (file "root") have no file to point at
+      if (issue.file && issue.file !== 'root') {
+        result.locations = [{
+          physicalLocation: {
+            artifactLocation: { uri: issue.file, uriBaseId: '%SRCROOT%' },
+            ...(issue.line && { region: { startLine: issue.line } })
+          }
+        }];
+      }
+      return result;
+    }));
+
+    const run = {
+      tool: {
+        driver: {
+          name: 'frontend-auditor',
+          version: '1.0.0',
+          rules
+        }
+      },
+      results,
+      invocations: [{ executionSuccessful: true, endTimeUtc: auditReport.timestamp }]
+    };
+
+    if (repository.sha) {
+      run.versionControlProvenance = [{
+        repositoryUri: `https://github.com/${repository.owner}/${repository.repo}`,
+        revisionId: repository.sha,
+        ...(repository.ref && { branch: repository.ref })
+      }];
+    }
+
+    return JSON.stringify({ $schema: SARIF_SCHEMA, version: '2.1.0', runs: [run] }, null, 2);
+  }
+
+  /**
+   * Generate JUnit XML report: one testsuite per audit category and one
+   * testcase per rule, failing with the rule's issues and skipped when the
+   * rule is disabled
+   */
+  generateJUnit(auditReport) {
+    const { repository, categories, timestamp } = auditReport;
+    const repositoryName = `${repository.owner}/${repository.repo}`;
+    const disabledRules = new Set(auditReport.disabledRules || []);
+    let totalTests = 0;
+    let totalFailures = 0;
+    let totalSkipped = 0;
+    let suites = '';
+
+    for (const category of Object.values(AUDIT_CATEGORIES)) {
+      const issues = categories[category]?.issues || [];
+      const rules = AUDIT_RULES.filter(rule => rule.category === category);
+      let failures = 0;
+      let skipped = 0;
+      let testcases = '';
+
+      for (const rule of rules) {
+        const ruleIssues = issues.filter(issue => issue.ruleId === rule.id);
+        const testcase = `<testcase name="${escapeXML(rule.id)}" classname="${escapeXML(`${repositoryName}.${category}`)}"`;
+
+        if (disabledRules.has(rule.id)) {
+          skipped++;
+          testcases += `    ${testcase}>\n`;
+          testcases += `      <skipped message="Rule disabled by the project config"/>\n`;
+          testcases += `    </testcase>\n`;
+          continue;
+        }
+
+        if (ruleIssues.length === 0) {
+          testcases += `    ${testcase}/>\n`;
+          continue;
+        }
+
+        failures++;
+        const message = ruleIssues.length === 1 ? ruleIssues[0].message : `${ruleIssues.length} issues: ${rule.description}`;
+        const severity = SEVERITY_ORDER.find(level => ruleIssues.some(issue => issue.severity === level));
+        const details = ruleIssues.map(issue => [
+          `[${issue.severity.toUpperCase()}] ${issue.message}`,
+          `File: ${issue.file || 'N/A'}${issue.line ? `:${issue.line}` : ''}`,
+          ...(issue.description ? [issue.description] : []),
+          ...(issue.suggestion ? [`Suggestion: ${issue.suggestion}`] : [])
+        ].join('\n')).join('\n\n');
+
+        testcases += `    ${testcase}>\n`;
+        testcases += `      <failure message="${escapeXML(message)}" type="${escapeXML(severity)}">${escapeXML(details)}</failure>\n`;
+        testcases += `    </testcase>\n`;
+      }
+
+      totalTests += rules.length;
+      totalFailures += failures;
+      totalSkipped += skipped;
+      suites += `  <testsuite name="${escapeXML(category)}" tests="${rules.length}" failures="${failures}" errors="0" skipped="${skipped}" timestamp="${escapeXML(timestamp)}">\n`;
+      suites += testcases;
+      suites += `  </testsuite>\n`;
+    }
+
+    let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+    xml += `<testsuites name="${escapeXML(`Frontend audit of ${repositoryName}`)}" tests="${totalTests}" failures="${totalFailures}" errors="0" skipped="${totalSkipped}">\n`;
+    xml += suites;
+    xml += `</testsuites>\n`;
+    return xml;
+  }
+
   /**
    * Generate Markdown report
    */
@@ -30,7 +196,15 @@ export class ReportGenerator {
     
     let markdown = `# Frontend Audit Report\n\n`;
     markdown += `**Repository:** ${repository.owner}/${repository.repo}\n`;
-    markdown += `**Generated:** ${new Date(timestamp).toLocaleString()}\n\n`;
+    if (repository.sha) {
+      markdown += `**Ref:** ${repository.ref} (\`${repository.sha.slice(0, 7)}\`)\n`;
+    }
+    markdown += `**Generated:** ${new Date(timestamp).toLocaleString()}\n`;
+    if (auditReport.rateLimit?.remaining != null) {
+      const { remaining, limit, reset } = auditReport.rateLimit;
+      markdown += `**API Quota:** ${remaining}/${limit} remaining (resets ${new Date(reset).toLocaleString()})\n`;
+    }
+    markdown += `\n`;
 
     // Summary section
     markdown += `## Summary\n\n`;
@@ -43,6 +217,13 @@ export class ReportGenerator {
     markdown += `| Low Issues | ${summary.lowIssues} |\n`;
     markdown += `| Compliance Score | ${summary.complianceScore}% |\n\n`;
 
+    if (auditReport.baseline) {
+      const { baseline } = auditReport;
+      markdown += `Only issues missing from the baseline (${new Date(baseline.createdAt).toLocaleString()}) are listed: `;
+      markdown += `${baseline.suppressedIssues} baselined issues are hidden, ${baseline.resolvedIssues.length} have been resolved. `;
+      markdown += `The compliance score including baselined issues is ${baseline.complianceScore.allIssues}%.\n\n`;
+    }
+
     // Compliance badge
     const badgeColor = this.getComplianceBadgeColor(summary.complianceScore);
     markdown += `![Compliance Score](https://img.shields.io/badge/Compliance-${summary.complianceScore}%25-${badgeColor})\n\n`;
@@ -58,15 +239,50 @@ export class ReportGenerator {
       categoryData.issues.forEach(issue => {
         const severityEmoji = this.getSeverityEmoji(issue.severity);
         markdown += `${severityEmoji} **${issue.severity.toUpperCase()}** - ${issue.message}\n`;
-        markdown += `- **File:** \`${issue.file || 'N/A'}\`\n`;
+        if (issue.ruleId) {
+          markdown += `- **Rule:** \`${issue.ruleId}\`\n`;
+        }
+        markdown += `- **File:** \`${issue.file || 'N/A'}${issue.line ? `:${issue.line}` : ''}\`\n`;
         markdown += `- **Description:** ${issue.description || 'No description provided'}\n`;
         if (issue.suggestion) {
           markdown += `- **Suggestion:** ${issue.suggestion}\n`;
         }
+        if (issue.fixable) {
+          markdown += `- **Fixable:** yes (\`frontend-auditor fix\`)\n`;
+        }
+        if (issue.diff) {
+          markdown += `\n\`\`\`diff\n${issue.diff}\n\`\`\`\n`;
+        }
         markdown += `\n`;
       });
     }
 
+    // Files the checks could not read, so their absence is not reported either
+    if (auditReport.unanalyzedFiles?.length > 0) {
+      markdown += `## Files Not Analyzed\n\n`;
+      markdown += `These files exist but could not be analyzed; checks that depend on them were skipped.\n\n`;
+      markdown += `| File | Size | Reason |\n`;
+      markdown += `|------|------|--------|\n`;
+      auditReport.unanalyzedFiles.forEach(file => {
+        markdown += `| \`${file.path}\` | ${file.size} bytes | ${file.reason} |\n`;
+      });
+      markdown += `\n`;
+    }
+
+    // Resolved baseline issues
+    if (auditReport.baseline?.resolvedIssues.length > 0) {
+      markdown += `## Resolved Since Baseline\n\n`;
+      auditReport.baseline.resolvedIssues.forEach(issue => {
+        markdown += `- ✅ \`${issue.ruleId}\` ${issue.message} (\`${issue.file || 'N/A'}\`)\n`;
+      });
+      markdown += `\n`;
+    }
+
+    // Trend against earlier runs
+    if (auditReport.history?.previousRun) {
+      markdown += this.generateTrendMarkdown(auditReport.history);
+    }
+
     // Recommendations section
     if (auditReport.recommendations && auditReport.recommendations.length > 0) {
       markdown += `## Recommendations\n\n`;
@@ -99,59 +315,215 @@ export class ReportGenerator {
   }
 
   /**
-   * Generate HTML report
+   * Markdown section comparing an audit with the previous run
+   */
+  generateTrendMarkdown(history) {
+    const { previousRun, scoreDelta, categoryDeltas, introducedIssues, resolvedIssues, trend } = history;
+
+    let markdown = `## Trend\n\n`;
+    markdown += `Compliance score ${formatDelta(scoreDelta)} since the previous audit `;
+    markdown += `(${new Date(previousRun.timestamp).toLocaleString()}${previousRun.sha ? `, \`${previousRun.sha.slice(0, 7)}\`` : ''}: ${previousRun.complianceScore}%).\n\n`;
+
+    if (trend?.length > 1) {
+      markdown += `| Date | Commit | Score |\n`;
+      markdown += `|------|--------|-------|\n`;
+      trend.forEach(run => {
+        markdown += `| ${new Date(run.timestamp).toLocaleString()} | ${run.sha ? `\`${run.sha.slice(0, 7)}\`` : 'N/A'} | ${run.complianceScore}% |\n`;
+      });
+      markdown += `\n`;
+    }
+
+    const changedCategories = Object.entries(categoryDeltas).filter(([, delta]) => delta !== 0);
+    if (changedCategories.length > 0) {
+      changedCategories.forEach(([name, delta]) => {
+        markdown += `- ${name}: ${formatDelta(delta)}\n`;
+      });
+      markdown += `\n`;
+    }
+
+    if (introducedIssues.length > 0) {
+      markdown += `### New Since Previous Audit\n\n`;
+      introducedIssues.forEach(issue => {
+        markdown += `- ${this.getSeverityEmoji(issue.severity)} \`${issue.ruleId}\` ${issue.message} (\`${issue.file || 'N/A'}\`)\n`;
+      });
+      markdown += `\n`;
+    }
+
+    if (resolvedIssues.length > 0) {
+      markdown += `### Resolved Since Previous Audit\n\n`;
+      resolvedIssues.forEach(issue => {
+        markdown += `- ✅ \`${issue.ruleId}\` ${issue.message} (\`${issue.file || 'N/A'}\`)\n`;
+      });
+      markdown += `\n`;
+    }
+
+    return markdown;
+  }
+
+  /**
+   * Markdown report of the recorded audits of one repository
+   */
+  generateHistoryMarkdown(repository, runs) {
+    let markdown = `# Audit History - ${repository}\n\n`;
+
+    if (runs.length === 0) {
+      return markdown + `No audits recorded yet.\n`;
+    }
+
+    markdown += `| Date | Ref | Commit | Score | Change | Critical | High | Medium | Low |\n`;
+    markdown += `|------|-----|--------|-------|--------|----------|------|--------|-----|\n`;
+    runs.forEach((run, index) => {
+      const delta = index > 0 ? formatDelta(run.complianceScore - runs[index - 1].complianceScore) : '';
+      markdown += `| ${new Date(run.timestamp).toLocaleString()} | ${run.ref || 'N/A'} | ${run.sha ? `\`${run.sha.slice(0, 7)}\`` : 'N/A'} `;
+      markdown += `| ${run.complianceScore}% | ${delta} | ${run.summary.criticalIssues} | ${run.summary.highIssues} `;
+      markdown += `| ${run.summary.mediumIssues} | ${run.summary.lowIssues} |\n`;
+    });
+    markdown += `\n`;
+
+    if (runs.length > 1) {
+      const comparison = compareRuns(runs.at(-2), runs.at(-1));
+      markdown += this.generateTrendMarkdown(comparison).replace(/^## Trend\n\n/, '## Latest Changes\n\n');
+    }
+
+    return markdown;
+  }
+
+  /**
+   * Markdown dashboard of a fleet audit
+   */
+  generateFleetMarkdown(fleetReport) {
+    const { summary, ranking, topFailingRules, errors } = fleetReport;
+
+    let markdown = `# Frontend Fleet Audit\n\n`;
+    markdown += `**Generated:** ${new Date(fleetReport.timestamp).toLocaleString()}\n\n`;
+
+    markdown += `## Summary\n\n`;
+    markdown += `| Metric | Value |\n`;
+    markdown += `|--------|-------|\n`;
+    markdown += `| Repositories | ${summary.repositories} |\n`;
+    markdown += `| Audited | ${summary.audited} |\n`;
+    markdown += `| Failed | ${summary.failed} |\n`;
+    markdown += `| Average Score | ${summary.averageScore ?? 'N/A'}% |\n`;
+    markdown += `| Lowest Score | ${summary.minScore ?? 'N/A'}% |\n\n`;
+
+    markdown += `## Repository Ranking\n\n`;
+    markdown += `| # | Repository | Score | Critical | High | Total Issues |\n`;
+    markdown += `|---|------------|-------|----------|------|--------------|\n`;
+    ranking.forEach((entry, index) => {
+      markdown += `| ${index + 1} | ${entry.repository}${entry.ref ? ` (${entry.ref})` : ''} | ${entry.complianceScore}% `;
+      markdown += `| ${entry.criticalIssues} | ${entry.highIssues} | ${entry.totalIssues} |\n`;
+    });
+    markdown += `\n`;
+
+    if (topFailingRules.length > 0) {
+      markdown += `## Most Failed Rules\n\n`;
+      markdown += `| Rule | Category | Severity | Repositories | Issues |\n`;
+      markdown += `|------|----------|----------|--------------|--------|\n`;
+      topFailingRules.forEach(rule => {
+        markdown += `| \`${rule.ruleId}\` | ${rule.category} | ${rule.severity} | ${rule.repositories.length}/${summary.audited} | ${rule.issues} |\n`;
+      });
+      markdown += `\n`;
+    }
+
+    if (errors.length > 0) {
+      markdown += `## Failed Audits\n\n`;
+      errors.forEach(({ repository, error }) => {
+        markdown += `- **${repository}**: ${error}\n`;
+      });
+      markdown += `\n`;
+    }
+
+    return markdown;
+  }
+
+  /**
+   * Markdown report of a repository comparison
+   */
+  generateComparisonMarkdown(comparison) {
+    const { scores, dependencies, scripts, configFiles } = comparison;
+    const name1 = formatRepository(comparison.repository1);
+    const name2 = formatRepository(comparison.repository2);
+
+    let markdown = `# Repository Comparison\n\n`;
+    markdown += `**${name1}** vs **${name2}**\n\n`;
+    (comparison.warnings || []).forEach(warning => {
+      markdown += `> ⚠️ ${warning}\n\n`;
+    });
+
+    markdown += `## Audit Scores\n\n`;
+    markdown += `| Category | ${name1} | ${name2} | Difference |\n`;
+    markdown += `|----------|------|------|------------|\n`;
+    markdown += `| **Overall** | ${scores.complianceScore.repo1}% | ${scores.complianceScore.repo2}% `;
+    markdown += `| ${formatDelta(scores.complianceScore.repo2 - scores.complianceScore.repo1)} |\n`;
+    scores.categories.forEach(({ category, repo1, repo2 }) => {
+      const difference = repo1 !== null && repo2 !== null ? formatDelta(repo2 - repo1) : 'N/A';
+      markdown += `| ${category} | ${repo1 ?? 'N/A'}% | ${repo2 ?? 'N/A'}% | ${difference} |\n`;
+    });
+    markdown += `| Total Issues | ${scores.totalIssues.repo1} | ${scores.totalIssues.repo2} | |\n\n`;
+
+    markdown += `## Dependencies\n\n`;
+    if (dependencies.differences.length > 0) {
+      markdown += `| Dependency | ${name1} | ${name2} |\n`;
+      markdown += `|------------|------|------|\n`;
+      dependencies.differences.forEach(({ name, repo1, repo2 }) => {
+        markdown += `| \`${name}\` | ${repo1.join(', ')} | ${repo2.join(', ')} |\n`;
+      });
+      markdown += `\n`;
+    } else {
+      markdown += `No version differences in shared dependencies.\n\n`;
+    }
+    if (dependencies.onlyInRepo1.length > 0) {
+      markdown += `**Only in ${name1}:** ${dependencies.onlyInRepo1.map(({ name }) => `\`${name}\``).join(', ')}\n\n`;
+    }
+    if (dependencies.onlyInRepo2.length > 0) {
+      markdown += `**Only in ${name2}:** ${dependencies.onlyInRepo2.map(({ name }) => `\`${name}\``).join(', ')}\n\n`;
+    }
+
+    markdown += `## Scripts\n\n`;
+    if (scripts.different.length + scripts.onlyInRepo1.length + scripts.onlyInRepo2.length === 0) {
+      markdown += `Root scripts are identical.\n\n`;
+    } else {
+      if (scripts.different.length > 0) {
+        markdown += `| Script | ${name1} | ${name2} |\n`;
+        markdown += `|--------|------|------|\n`;
+        scripts.different.forEach(({ name, repo1, repo2 }) => {
+          markdown += `| \`${name}\` | \`${repo1}\` | \`${repo2}\` |\n`;
+        });
+        markdown += `\n`;
+      }
+      if (scripts.onlyInRepo1.length > 0) {
+        markdown += `**Only in ${name1}:** ${scripts.onlyInRepo1.map(name => `\`${name}\``).join(', ')}\n\n`;
+      }
+      if (scripts.onlyInRepo2.length > 0) {
+        markdown += `**Only in ${name2}:** ${scripts.onlyInRepo2.map(name => `\`${name}\``).join(', ')}\n\n`;
+      }
+    }
+
+    markdown += `## Configuration Files\n\n`;
+    if (configFiles.different.length + configFiles.onlyInRepo1.length + configFiles.onlyInRepo2.length === 0) {
+      markdown += `Configuration files are identical.\n\n`;
+    } else {
+      if (configFiles.onlyInRepo1.length > 0) {
+        markdown += `**Only in ${name1}:** ${configFiles.onlyInRepo1.map(path => `\`${path}\``).join(', ')}\n\n`;
+      }
+      if (configFiles.onlyInRepo2.length > 0) {
+        markdown += `**Only in ${name2}:** ${configFiles.onlyInRepo2.map(path => `\`${path}\``).join(', ')}\n\n`;
+      }
+      configFiles.different.forEach(({ path, diff }) => {
+        markdown += `### \`${path}\`\n\n`;
+        markdown += `\`\`\`diff\n${diff}\n\`\`\`\n\n`;
+      });
+    }
+
+    return markdown;
+  }
+
+  /**
+   * Generate HTML report: a self-contained page with summary cards, category
+   * gauges and issue cards that can be filtered by severity, category and file
    */
   generateHTML(auditReport) {
-    const markdownContent = this.generateMarkdown(auditReport);
-    
-    return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Frontend Audit Report - ${auditReport.repository.owner}/${auditReport.repository.repo}</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 1200px;
-            margin: 0 auto;
-            padding: 20px;
-        }
-        .summary-card {
-            background: #f8f9fa;
-            border-radius: 8px;
-            padding: 20px;
-            margin: 20px 0;
-        }
-        .issue-card {
-            border-left: 4px solid #e9ecef;
-            padding: 15px;
-            margin: 10px 0;
-            background: #fff;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-        }
-        .critical { border-left-color: #dc3545; }
-        .high { border-left-color: #fd7e14; }
-        .medium { border-left-color: #ffc107; }
-        .low { border-left-color: #6c757d; }
-        .score-good { color: #28a745; }
-        .score-warning { color: #ffc107; }
-        .score-danger { color: #dc3545; }
-        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
-        th, td { padding: 12px; text-align: left; border-bottom: 1px solid #ddd; }
-        th { background-color: #f8f9fa; }
-        code { background: #f8f9fa; padding: 2px 4px; border-radius: 3px; }
-    </style>
-</head>
-<body>
-    <div class="markdown-content">
-        ${this.markdownToHTML(markdownContent)}
-    </div>
-</body>
-</html>`;
+    return renderHTMLReport(auditReport);
   }
 
   /**
@@ -206,22 +578,6 @@ export class ReportGenerator {
     return criticalAndHighIssues;
   }
 
-  /**
-   * Simple markdown to HTML converter (basic implementation)
-   */
-  markdownToHTML(markdown) {
-    return markdown
-      .replace(/^# (.*$)/gim, '<h1>$1</h1>')
-      .replace(/^## (.*$)/gim, '<h2>$1</h2>')
-      .replace(/^### (.*$)/gim, '<h3>$1</h3>')
-      .replace(/\*\*(.*?)\*\*/gim, '<strong>$1</strong>')
-      .replace(/\*(.*?)\*/gim, '<em>$1</em>')
-      .replace(/`(.*?)`/gim, '<code>$1</code>')
-      .replace(/\n\n/gim, '</p><p>')
-      .replace(/\n/gim, '<br>')
-      .replace(/^(.+)$/gim, '<p>$1</p>');
-  }
-
   /**
    * Generate executive summary for stakeholders
    */
@@ -255,4 +611,32 @@ export class ReportGenerator {
 
     return executiveSummary;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Escape text for XML element content and attribute values
+ */
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Signed percentage-point change, e.g. "+5 pts" / "-3 pts" / "unchanged"
+ */
+function formatDelta(delta) {
+  if (delta === 0) return 'unchanged';
+  return `${delta > 0 ? '+' : ''}${delta} pts`;
+}
+/**
+ * `owner/repo` or `owner/repo@ref`
+ */
+function formatRepository(repository) {
+  return `${repository.owner}/${repository.repo}${repository.ref ? `@${repository.ref}` : ''}`;
+}
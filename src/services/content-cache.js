@@ -0,0 +1,76 @@
+/**
+ * Content Cache for Frontend Auditor Agent
+ * Persists fetched GitHub objects on disk so repeated audits only download
+ * what changed: blobs and trees are immutable and keyed by repository and
+ * SHA, other responses are stored with their ETag and revalidated
+ */
+
+import { mkdir, readFile, writeFile, rename } from 'fs/promises';
+import { dirname, join } from 'path';
+import { createHash, randomUUID } from 'crypto';
+
+export const CACHE_VERSION = 1;
+
+export class ContentCache {
+  /**
+   * @param {string} directory - Directory the cache is kept in
+   */
+  constructor(directory) {
+    this.directory = directory;
+    // hits: served without a request, revalidated: 304 Not Modified, misses: downloaded
+    this.stats = { hits: 0, revalidated: 0, misses: 0 };
+  }
+
+  /**
+   * Cache key for a response that must be revalidated, from its URL
+   */
+  static requestKey(url) {
+    return `request-${createHash('sha1').update(url).digest('hex')}`;
+  }
+
+  /**
+   * Read an entry; missing, unreadable or outdated entries are misses
+   */
+  async get(owner, repo, key) {
+    try {
+      const entry = JSON.parse(await readFile(this.entryPath(owner, repo, key), 'utf8'));
+      return entry.version === CACHE_VERSION ? entry.value : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring cache entry ${key}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Write an entry (via a temporary file, so concurrent audits never read a
+   * partial entry). Each write has its own temporary file, as the same key
+   * may be written twice at once. A cache that cannot be written only costs
+   * requests.
+   */
+  async set(owner, repo, key, value) {
+    const entryPath = this.entryPath(owner, repo, key);
+    const temporaryPath = `${entryPath}.${randomUUID()}.tmp`;
+
+    try {
+      await mkdir(dirname(entryPath), { recursive: true });
+      await writeFile(temporaryPath, JSON.stringify({ version: CACHE_VERSION, value }), 'utf8');
+      await rename(temporaryPath, entryPath);
+    } catch (error) {
+      console.warn(`Unable to write cache entry ${key}: ${error.message}`);
+    }
+  }
+
+  entryPath(owner, repo, key) {
+    return join(this.directory, owner, repo, `${key}.json`);
+  }
+
+  /**
+   * One-line summary, e.g. "Cache: 42 hits, 3 revalidated, 5 fetched (.auditor-cache)"
+   */
+  formatStats() {
+    const { hits, revalidated, misses } = this.stats;
+    return `Cache: ${hits} hits, ${revalidated} revalidated, ${misses} fetched (${this.directory})`;
+  }
+}
@@ -5,25 +5,282 @@
 
 import { Octokit } from '@octokit/rest';
 import { MCP_CONFIG } from '../config/mcp-config.js';
+import { RepositorySource } from './repository-source.js';
+import { ContentCache } from './content-cache.js';
 
-export class GitHubMCPClient {
-  constructor(token) {
-    this.octokit = new Octokit({ auth: token });
-    this.config = MCP_CONFIG;
+export class GitHubMCPClient extends RepositorySource {
+  constructor(token, config = MCP_CONFIG) {
+    super(config);
+    // apiUrl points at GitHub Enterprise or a mock API server
+    this.octokit = new Octokit({ auth: token, baseUrl: config.github?.apiUrl });
+    // Every request, including pagination, goes through the cache and the scheduler
+    this.octokit.hook.wrap('request', (request, options) =>
+      this.sendConditionalRequest(options, () => this.sendRequest(() => request(options)))
+    );
+    this.cache = config.cache?.enabled ? new ContentCache(config.cache.path) : null;
+    // Requests waiting for a slot in the per-minute budget: { resolve, reject }
     this.requestQueue = [];
     this.isProcessing = false;
+    // Start times of the requests sent in the last minute
+    this.requestTimes = [];
+    // Quota reported by the last response's x-ratelimit-* headers
+    this.rateLimit = { limit: null, remaining: null, used: null, reset: null };
+    this.requestStats = { requests: 0, retries: 0, rejected: 0 };
+  }
+
+  /**
+   * Revalidate cached GET responses with their ETag: a 304 Not Modified is
+   * answered from the cache and does not count against the quota. Blobs and
+   * trees are cached by SHA instead and raw streams are not cached.
+   */
+  async sendConditionalRequest(options, send) {
+    if (!this.cache || options.method !== 'GET' ||
+      options.request?.parseSuccessResponseBody === false || /\/git\/(blobs|trees)\//.test(options.url)) {
+      return send();
+    }
+
+    const { url } = this.octokit.request.endpoint(options);
+    const owner = options.owner || '_';
+    const repo = options.repo || '_';
+    const key = ContentCache.requestKey(url);
+    const cached = await this.cache.get(owner, repo, key);
+
+    // Inner request hooks only see changes made to the options object itself
+    if (cached) {
+      options.headers['if-none-match'] = cached.etag;
+    }
+
+    let response;
+    try {
+      response = await send();
+    } catch (error) {
+      if (!cached || error.status !== 304) throw error;
+
+      this.cache.stats.revalidated++;
+      // Pagination follows the link header of the original response
+      return { status: 200, url, headers: { ...error.response.headers, ...(cached.link && { link: cached.link }) }, data: cached.data };
+    }
+
+    this.cache.stats.misses++;
+    if (response.headers.etag) {
+      await this.cache.set(owner, repo, key, { etag: response.headers.etag, link: response.headers.link, data: response.data });
+    }
+    return response;
+  }
+
+  /**
+   * Send a request once the scheduler grants a slot, retrying server errors
+   * and secondary rate limits with exponential backoff (or the delay GitHub
+   * asks for in `retry-after`)
+   */
+  async sendRequest(send) {
+    const { retryAttempts, retryDelay } = this.config.rateLimiting;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquireRequestSlot();
+
+      try {
+        const response = await send();
+        this.updateRateLimit(response.headers);
+        return response;
+      } catch (error) {
+        this.updateRateLimit(error.response?.headers);
+
+        if (isPrimaryRateLimit(error)) {
+          this.requestStats.rejected++;
+          throw new Error(`GitHub API rate limit exhausted until ${this.rateLimit.reset}`);
+        }
+        if (!isRetryable(error) || attempt >= retryAttempts) {
+          throw error;
+        }
+
+        const retryAfter = Number(error.response?.headers?.['retry-after']);
+        const wait = retryAfter > 0 ? retryAfter * 1000 : retryDelay * 2 ** attempt;
+        console.warn(`GitHub API request failed (${error.status}), retrying in ${wait}ms (attempt ${attempt + 1}/${retryAttempts})...`);
+        this.requestStats.retries++;
+        await this.delay(wait);
+      }
+    }
+  }
+
+  /**
+   * Wait for a slot in the `rateLimiting.requestsPerMinute` budget. Slots are
+   * granted in request order; once GitHub reports no remaining quota,
+   * waiting requests fail instead of hanging until the reset.
+   */
+  acquireRequestSlot() {
+    return new Promise((resolve, reject) => {
+      this.requestQueue.push({ resolve, reject });
+      this.processQueue();
+    });
+  }
+
+  async processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      while (this.requestQueue.length > 0) {
+        const { requestsPerMinute } = this.config.rateLimiting;
+        const now = Date.now();
+        this.requestTimes = this.requestTimes.filter(time => now - time < 60000);
+
+        if (this.requestTimes.length >= requestsPerMinute) {
+          await this.delay(this.requestTimes[0] + 60000 - now);
+          continue;
+        }
+
+        const next = this.requestQueue.shift();
+        if (this.rateLimit.remaining === 0 && Date.parse(this.rateLimit.reset) > now) {
+          this.requestStats.rejected++;
+          next.reject(new Error(`GitHub API rate limit exhausted until ${this.rateLimit.reset}`));
+          continue;
+        }
+
+        this.requestTimes.push(now);
+        this.requestStats.requests++;
+        next.resolve();
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Track the quota from GitHub's x-ratelimit-* response headers
+   */
+  updateRateLimit(headers = {}) {
+    if (headers['x-ratelimit-remaining'] === undefined) return;
+
+    this.rateLimit = {
+      limit: Number(headers['x-ratelimit-limit']),
+      remaining: Number(headers['x-ratelimit-remaining']),
+      used: Number(headers['x-ratelimit-used']),
+      reset: new Date(Number(headers['x-ratelimit-reset']) * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Remaining quota and the requests sent, retried and refused so far
+   */
+  getRateLimit() {
+    return { ...this.rateLimit, ...this.requestStats };
+  }
+
+  /**
+   * Resolve the ref to read a repository at, pinned to a commit SHA.
+   *
+   * The ref is the first of: the explicit `ref` argument, the branch configured
+   * for that repository in `config.repositories`, or its default branch.
+   * Within a resolution scope each repository and ref resolves once, so a
+   * branch that moves during an audit does not mix two commits.
+   */
+  async resolveRef(owner, repo, ref) {
+    return this.memoizeInScope(`ref:${owner}/${repo}@${ref || ''}`, async () => {
+      const requestedRef = ref || this.getConfiguredBranch(owner, repo) || await this.getDefaultBranch(owner, repo);
+      const { data } = await this.octokit.rest.repos.getCommit({ owner, repo, ref: requestedRef });
+      return { ref: requestedRef, sha: data.sha };
+    });
+  }
+
+  /**
+   * Branch configured for owner/repo in config.repositories, if any
+   */
+  getConfiguredBranch(owner, repo) {
+    const configured = Object.values(this.config.repositories).find(repository =>
+      repository.owner === owner && repository.repo === repo
+    );
+    return configured?.branch;
+  }
+
+  /**
+   * Default branch of a repository
+   */
+  async getDefaultBranch(owner, repo) {
+    const { data } = await this.octokit.rest.repos.get({ owner, repo });
+    return data.default_branch;
+  }
+
+  /**
+   * Every entry of the repository at the resolved commit, from a single
+   * recursive Git Trees API call. Returns null when GitHub truncates the
+   * tree (over 100,000 entries or 7MB) or it cannot be fetched, so
+   * directories are listed one by one instead. Fetched once per resolution
+   * scope and ref.
+   */
+  async getRepositoryTree(owner, repo, options = {}) {
+    const key = `${owner}/${repo}`;
+
+    return this.memoizeInScope(`tree:${key}@${options.ref || ''}`, async () => {
+      try {
+        const { sha } = await this.resolveRef(owner, repo, options.ref);
+        const cached = await this.getCached(owner, repo, `tree-${sha}`);
+        if (cached) return cached;
+
+        const { data } = await this.octokit.rest.git.getTree({ owner, repo, tree_sha: sha, recursive: 'true' });
+
+        if (data.truncated) {
+          console.warn(`Tree of ${key} is truncated, listing directories one by one...`);
+          return null;
+        }
+
+        const tree = data.tree
+          .filter(entry => entry.type === 'blob' || entry.type === 'tree')
+          .map(entry => ({
+            path: entry.path,
+            type: entry.type === 'tree' ? 'dir' : 'file',
+            size: entry.size ?? 0,
+            sha: entry.sha
+          }));
+
+        await this.cache?.set(owner, repo, `tree-${sha}`, tree);
+        return tree;
+      } catch (error) {
+        console.error(`Error fetching repository tree: ${error.message}`);
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Cached value of an immutable object (keyed by SHA), counting the lookup
+   */
+  async getCached(owner, repo, key) {
+    if (!this.cache) return null;
+
+    const value = await this.cache.get(owner, repo, key);
+    this.cache.stats[value ? 'hits' : 'misses']++;
+    return value;
+  }
+
+  /**
+   * Tree entry for a path, undefined when it does not exist, or null when
+   * the tree is not available
+   */
+  async getTreeEntry(owner, repo, path, options = {}) {
+    const tree = await this.getRepositoryTree(owner, repo, options);
+    return tree && tree.find(entry => entry.path === path);
   }
 
   /**
    * Get repository structure with chunked processing
    */
-  async getRepositoryStructure(owner, repo, path = '') {
+  async getRepositoryStructure(owner, repo, path = '', options = {}) {
+    const tree = await this.getRepositoryTree(owner, repo, options);
+    if (tree) {
+      const prefix = path ? `${path}/` : '';
+      return tree
+        .filter(entry => entry.path.startsWith(prefix) && !entry.path.slice(prefix.length).includes('/'))
+        .map(entry => ({ name: entry.path.slice(prefix.length), ...entry }));
+    }
+
     try {
+      const { sha } = await this.resolveRef(owner, repo, options.ref);
       const { data } = await this.octokit.rest.repos.getContent({
         owner,
         repo,
         path,
-        ref: this.config.repositories.target.branch
+        ref: sha
       });
 
       return Array.isArray(data) ? data : [data];
@@ -34,20 +291,29 @@ export class GitHubMCPClient {
   }
 
   /**
-   * Get file content with size validation
+   * Get file content with size validation. Files listed in the repository
+   * tree are read as blobs by SHA; paths missing from it cost no request.
    */
-  async getFileContent(owner, repo, path) {
+  async getFileContent(owner, repo, path, options = {}) {
+    const maxFileSize = options.maxFileSize ?? this.config.chunking.maxFileSize;
+
+    const entry = await this.getTreeEntry(owner, repo, path, options);
+    if (entry !== null) {
+      return entry?.type === 'file' ? this.getBlobContent(owner, repo, entry, maxFileSize) : null;
+    }
+
     try {
+      const { sha } = await this.resolveRef(owner, repo, options.ref);
       const { data } = await this.octokit.rest.repos.getContent({
         owner,
         repo,
         path,
-        ref: this.config.repositories.target.branch
+        ref: sha
       });
 
-      if (data.size > this.config.chunking.maxFileSize) {
-        console.warn(`File ${path} exceeds max size (${data.size} bytes), skipping...`);
-        return null;
+      // The contents API omits the body of files over 1MB
+      if (data.size > maxFileSize || data.encoding === 'none') {
+        return { path: data.path, content: null, size: data.size, sha: data.sha };
       }
 
       return {
@@ -63,209 +329,174 @@ export class GitHubMCPClient {
   }
 
   /**
-   * Get package.json files from all workspace packages
+   * Read a tree entry through the Git Blobs API (files up to 100MB)
    */
-  async getPackageJsonFiles(owner, repo) {
-    const packageFiles = [];
-    
-    try {
-      // Get root package.json
-      const rootPackage = await this.getFileContent(owner, repo, 'package.json');
-      if (rootPackage) {
-        packageFiles.push(rootPackage);
-      }
+  async getBlobContent(owner, repo, entry, maxFileSize) {
+    if (entry.size > maxFileSize) {
+      return { path: entry.path, content: null, size: entry.size, sha: entry.sha };
+    }
 
-      // Get package.json from apps/ and packages/ directories
-      const appsStructure = await this.getRepositoryStructure(owner, repo, 'apps');
-      const packagesStructure = await this.getRepositoryStructure(owner, repo, 'packages');
-
-      // Process apps directory
-      for (const item of appsStructure) {
-        if (item.type === 'dir') {
-          const appPackage = await this.getFileContent(owner, repo, `${item.path}/package.json`);
-          if (appPackage) {
-            packageFiles.push(appPackage);
-          }
-        }
-      }
+    try {
+      const cached = await this.getCached(owner, repo, `blob-${entry.sha}`);
+      if (cached) return { path: entry.path, ...cached };
 
-      // Process packages directory
-      for (const item of packagesStructure) {
-        if (item.type === 'dir') {
-          const packageJson = await this.getFileContent(owner, repo, `${item.path}/package.json`);
-          if (packageJson) {
-            packageFiles.push(packageJson);
-          }
-        }
-      }
+      const { data } = await this.octokit.rest.git.getBlob({ owner, repo, file_sha: entry.sha });
+      const blob = {
+        content: Buffer.from(data.content, data.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8'),
+        size: data.size,
+        sha: data.sha
+      };
 
-      return packageFiles;
+      await this.cache?.set(owner, repo, `blob-${entry.sha}`, blob);
+      return { path: entry.path, ...blob };
     } catch (error) {
-      console.error('Error fetching package.json files:', error.message);
-      return packageFiles;
+      console.error(`Error fetching file content for ${entry.path}: ${error.message}`);
+      return null;
     }
   }
 
   /**
-   * Get configuration files (babel, jest, webpack, etc.)
+   * Stream a file's raw content (the blob and contents APIs serve raw files
+   * up to 100MB, where the JSON response stops including content at 1MB).
+   * Files listed in the repository tree are streamed as blobs by SHA.
    */
-  async getConfigFiles(owner, repo) {
-    const configFiles = [];
-    const configPatterns = [
-      'babel.config.*',
-      'jest.config.*',
-      'webpack.config.*',
-      'tsconfig.json',
-      'jsconfig.json',
-      'eslint.config.*',
-      'prettier.config.*',
-      'turbo.json'
-    ];
-
+  async getFileStream(owner, repo, path, options = {}) {
     try {
-      const rootStructure = await this.getRepositoryStructure(owner, repo);
-      
-      for (const item of rootStructure) {
-        if (item.type === 'file' && this.matchesPattern(item.name, configPatterns)) {
-          const fileContent = await this.getFileContent(owner, repo, item.path);
-          if (fileContent) {
-            configFiles.push(fileContent);
-          }
-        }
-      }
+      const entry = await this.getTreeEntry(owner, repo, path, options);
+      if (entry !== null && entry?.type !== 'file') return null;
 
-      // Also check config/ directory if it exists
-      const configDir = await this.getRepositoryStructure(owner, repo, 'config');
-      for (const item of configDir) {
-        if (item.type === 'file') {
-          const fileContent = await this.getFileContent(owner, repo, item.path);
-          if (fileContent) {
-            configFiles.push(fileContent);
-          }
-        }
-      }
+      const { sha } = await this.resolveRef(owner, repo, options.ref);
+      const { data } = entry
+        ? await this.octokit.request('GET /repos/{owner}/{repo}/git/blobs/{file_sha}', {
+          owner,
+          repo,
+          file_sha: entry.sha,
+          mediaType: { format: 'raw' },
+          request: { parseSuccessResponseBody: false }
+        })
+        : await this.octokit.request('GET /repos/{owner}/{repo}/contents/{path}', {
+          owner,
+          repo,
+          path,
+          ref: sha,
+          mediaType: { format: 'raw' },
+          request: { parseSuccessResponseBody: false }
+        });
 
-      return configFiles;
+      return decodeChunks(data);
     } catch (error) {
-      console.error('Error fetching config files:', error.message);
-      return configFiles;
+      console.error(`Error streaming file content for ${path}: ${error.message}`);
+      return null;
     }
   }
 
   /**
-   * Get boilerplate template structure for comparison
+   * Repositories of an organization, with their topics
    */
-  async getBoilerplateTemplate() {
-    const { owner, repo, path } = this.config.repositories.boilerplate;
-    
-    try {
-      const templateStructure = await this.getRepositoryStructure(owner, repo, path);
-      const templateFiles = [];
-
-      // Get key template files
-      const keyFiles = [
-        'package.json',
-        'babel.config.json',
-        'jest.config.js',
-        'tsconfig.json',
-        'turbo.json'
-      ];
-
-      for (const fileName of keyFiles) {
-        const filePath = path ? `${path}/${fileName}` : fileName;
-        const fileContent = await this.getFileContent(owner, repo, filePath);
-        if (fileContent) {
-          templateFiles.push(fileContent);
-        }
-      }
+  async listOrganizationRepositories(org) {
+    const repositories = await this.octokit.paginate(this.octokit.rest.repos.listForOrg, {
+      org,
+      type: 'all',
+      per_page: 100
+    });
 
-      return templateFiles;
-    } catch (error) {
-      console.error('Error fetching boilerplate template:', error.message);
-      return [];
-    }
+    return repositories.map(repository => ({
+      owner: repository.owner.login,
+      repo: repository.name,
+      topics: repository.topics || [],
+      archived: repository.archived,
+      defaultBranch: repository.default_branch
+    }));
   }
 
   /**
-   * Get common config repository structure
+   * Create a branch pointing at a commit
    */
-  async getCommonConfig() {
-    const { owner, repo } = this.config.repositories.commonConfig;
-    
+  async createBranch(owner, repo, branch, sha) {
     try {
-      const configStructure = await this.getRepositoryStructure(owner, repo);
-      const configFiles = [];
-
-      for (const item of configStructure) {
-        if (item.type === 'file' && item.name.endsWith('.json') || item.name.endsWith('.js')) {
-          const fileContent = await this.getFileContent(owner, repo, item.path);
-          if (fileContent) {
-            configFiles.push(fileContent);
-          }
-        }
-      }
-
-      return configFiles;
+      await this.octokit.rest.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha });
     } catch (error) {
-      console.error('Error fetching common config:', error.message);
-      return [];
+      if (error.status === 422) {
+        throw new Error(`Branch ${branch} already exists in ${owner}/${repo}`);
+      }
+      throw error;
     }
   }
 
   /**
-   * Rate limiting helper
+   * Commit file contents on top of a branch as a single commit
+   *
+   * @param {Array<{ path, content }>} files - Files to create or replace
+   * @returns {string} SHA of the new commit
    */
-  async delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
+  async commitFiles(owner, repo, branch, parentSha, files, message) {
+    const { data: parent } = await this.octokit.rest.git.getCommit({ owner, repo, commit_sha: parentSha });
 
-  /**
-   * Check if filename matches any pattern
-   */
-  matchesPattern(filename, patterns) {
-    return patterns.some(pattern => {
-      const regex = new RegExp(pattern.replace('*', '.*'));
-      return regex.test(filename);
+    const tree = [];
+    for (const file of files) {
+      const { data: blob } = await this.octokit.rest.git.createBlob({
+        owner,
+        repo,
+        content: Buffer.from(file.content, 'utf8').toString('base64'),
+        encoding: 'base64'
+      });
+      tree.push({ path: file.path, mode: '100644', type: 'blob', sha: blob.sha });
+    }
+
+    const { data: newTree } = await this.octokit.rest.git.createTree({
+      owner,
+      repo,
+      base_tree: parent.tree.sha,
+      tree
     });
+    const { data: commit } = await this.octokit.rest.git.createCommit({
+      owner,
+      repo,
+      message,
+      tree: newTree.sha,
+      parents: [parentSha]
+    });
+    await this.octokit.rest.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: commit.sha });
+
+    return commit.sha;
   }
 
   /**
-   * Get chunked repository data to avoid context window limits
+   * Open a pull request
    */
-  async getRepositoryDataChunked(owner, repo) {
-    console.log(`Fetching chunked data for ${owner}/${repo}...`);
-    
-    const repositoryData = {
-      packageFiles: [],
-      configFiles: [],
-      metadata: {
-        owner,
-        repo,
-        fetchedAt: new Date().toISOString(),
-        totalFiles: 0
-      }
-    };
-
-    try {
-      // Get package.json files
-      console.log('Fetching package.json files...');
-      repositoryData.packageFiles = await this.getPackageJsonFiles(owner, repo);
-      await this.delay(this.config.rateLimiting.batchDelay);
-
-      // Get configuration files
-      console.log('Fetching configuration files...');
-      repositoryData.configFiles = await this.getConfigFiles(owner, repo);
-      await this.delay(this.config.rateLimiting.batchDelay);
+  async createPullRequest(owner, repo, { head, base, title, body, draft = false }) {
+    const { data } = await this.octokit.rest.pulls.create({ owner, repo, head, base, title, body, draft });
+    return { number: data.number, url: data.html_url };
+  }
+}
 
-      repositoryData.metadata.totalFiles = 
-        repositoryData.packageFiles.length + repositoryData.configFiles.length;
+/**
+ * Server errors and secondary rate limits (403/429 with `retry-after` or a
+ * "secondary rate limit" message) are worth retrying
+ */
+function isRetryable(error) {
+  if (error.status >= 500) return true;
+  if (error.status !== 403 && error.status !== 429) return false;
+  return error.response?.headers?.['retry-after'] !== undefined || /secondary rate limit/i.test(error.message);
+}
 
-      console.log(`Fetched ${repositoryData.metadata.totalFiles} files successfully`);
-      return repositoryData;
+/**
+ * The hourly quota ran out: retrying before the reset cannot succeed
+ */
+function isPrimaryRateLimit(error) {
+  return (error.status === 403 || error.status === 429) &&
+    error.response?.headers?.['x-ratelimit-remaining'] === '0' &&
+    !isRetryable(error);
+}
 
-    } catch (error) {
-      console.error('Error in chunked data fetching:', error.message);
-      throw error;
-    }
+/**
+ * Decode a byte stream into UTF-8 text chunks
+ */
+async function* decodeChunks(body) {
+  const decoder = new TextDecoder();
+  for await (const chunk of body) {
+    yield decoder.decode(chunk, { stream: true });
   }
-}
\ No newline at end of file
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
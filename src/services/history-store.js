@@ -0,0 +1,182 @@
+/**
+ * History Store for Frontend Auditor Agent
+ * Persists a summary of every audit (scores, commit, issue fingerprints) in
+ * a local JSON file so compliance can be tracked over time
+ */
+
+import { readFile, writeFile, rename } from 'fs/promises';
+import { createHash } from 'crypto';
+
+export const HISTORY_VERSION = 1;
+
+/**
+ * Stable fingerprint of an issue across runs
+ */
+export function issueFingerprint(issue) {
+  return createHash('sha1')
+    .update([issue.ruleId, issue.file || '', issue.message].join('\0'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+export class HistoryStore {
+  /**
+   * @param {string} filePath - JSON file the history is kept in
+   * @param {Object} [options]
+   * @param {number} [options.maxRuns] - Runs kept per repository (oldest are dropped)
+   */
+  constructor(filePath, { maxRuns = 100 } = {}) {
+    this.filePath = filePath;
+    this.maxRuns = maxRuns;
+    this.data = null;
+  }
+
+  /**
+   * Read the history file; a missing file is an empty history
+   */
+  async load() {
+    if (this.data) return this.data;
+
+    let content;
+    try {
+      content = await readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Unable to read history ${this.filePath}: ${error.message}`);
+      }
+      this.data = { version: HISTORY_VERSION, runs: [] };
+      return this.data;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Unable to parse history ${this.filePath}: ${error.message}`);
+    }
+    if (data.version !== HISTORY_VERSION || !Array.isArray(data.runs)) {
+      throw new Error(`${this.filePath} is not a frontend-auditor history file (expected version ${HISTORY_VERSION})`);
+    }
+
+    this.data = data;
+    return this.data;
+  }
+
+  /**
+   * Write the history file (via a temporary file, so an interrupted write
+   * never leaves a truncated history behind)
+   */
+  async save() {
+    const temporaryPath = `${this.filePath}.tmp`;
+    await writeFile(temporaryPath, `${JSON.stringify(this.data, null, 2)}\n`, 'utf8');
+    await rename(temporaryPath, this.filePath);
+  }
+
+  /**
+   * Append an audit to the history
+   *
+   * @returns {Object} Comparison with the previous run of the repository (see compareRuns)
+   */
+  async record(auditReport) {
+    await this.load();
+
+    const run = HistoryStore.toRun(auditReport);
+    const previous = this.getRuns(run.repository).at(-1) || null;
+
+    this.data.runs.push(run);
+    this.prune(run.repository);
+    await this.save();
+
+    return {
+      ...compareRuns(previous, run),
+      trend: this.getRuns(run.repository).slice(-10).map(({ timestamp, sha, complianceScore }) => ({ timestamp, sha, complianceScore }))
+    };
+  }
+
+  /**
+   * Runs of `owner/repo`, oldest first
+   */
+  getRuns(repository) {
+    return (this.data?.runs || []).filter(run => run.repository === repository);
+  }
+
+  /**
+   * Repositories with at least one recorded run
+   */
+  getRepositories() {
+    return [...new Set((this.data?.runs || []).map(run => run.repository))];
+  }
+
+  prune(repository) {
+    const runs = this.getRuns(repository);
+    if (runs.length <= this.maxRuns) return;
+
+    const dropped = new Set(runs.slice(0, runs.length - this.maxRuns));
+    this.data.runs = this.data.runs.filter(run => !dropped.has(run));
+  }
+
+  /**
+   * History entry for an audit report
+   */
+  static toRun(auditReport) {
+    const { repository, summary, categories, timestamp } = auditReport;
+    const issues = new Map();
+
+    for (const category of Object.values(categories)) {
+      for (const issue of category.issues) {
+        const fingerprint = issueFingerprint(issue);
+        issues.set(fingerprint, {
+          fingerprint,
+          ruleId: issue.ruleId,
+          file: issue.file || null,
+          severity: issue.severity,
+          message: issue.message
+        });
+      }
+    }
+
+    return {
+      repository: `${repository.owner}/${repository.repo}`,
+      ref: repository.ref,
+      sha: repository.sha,
+      timestamp,
+      complianceScore: summary.complianceScore,
+      categoryScores: Object.fromEntries(Object.entries(categories).map(([name, category]) => [name, category.score])),
+      summary: {
+        totalIssues: summary.totalIssues,
+        criticalIssues: summary.criticalIssues,
+        highIssues: summary.highIssues,
+        mediumIssues: summary.mediumIssues,
+        lowIssues: summary.lowIssues
+      },
+      issues: [...issues.values()]
+    };
+  }
+}
+
+/**
+ * Score changes and issues introduced or resolved between two runs
+ */
+export function compareRuns(previous, current) {
+  if (!previous) {
+    return { previousRun: null, scoreDelta: null, categoryDeltas: {}, introducedIssues: [], resolvedIssues: [] };
+  }
+
+  const previousFingerprints = new Set(previous.issues.map(issue => issue.fingerprint));
+  const currentFingerprints = new Set(current.issues.map(issue => issue.fingerprint));
+
+  return {
+    previousRun: {
+      timestamp: previous.timestamp,
+      ref: previous.ref,
+      sha: previous.sha,
+      complianceScore: previous.complianceScore
+    },
+    scoreDelta: current.complianceScore - previous.complianceScore,
+    categoryDeltas: Object.fromEntries(Object.entries(current.categoryScores)
+      .filter(([name]) => previous.categoryScores[name] !== undefined)
+      .map(([name, score]) => [name, score - previous.categoryScores[name]])),
+    introducedIssues: current.issues.filter(issue => !previousFingerprints.has(issue.fingerprint)),
+    resolvedIssues: previous.issues.filter(issue => !currentFingerprints.has(issue.fingerprint))
+  };
+}
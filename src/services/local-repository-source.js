@@ -0,0 +1,203 @@
+/**
+ * Local Repository Source for Frontend Auditor Agent
+ * Reads the target, boilerplate and common config from directories on disk
+ * so audits can run offline (local checkouts, CI workspaces, fixtures)
+ */
+
+import { readdir, readFile, stat } from 'fs/promises';
+import { createReadStream } from 'fs';
+import { createHash } from 'crypto';
+import { basename, join, resolve } from 'path';
+import { MCP_CONFIG } from '../config/mcp-config.js';
+import { RepositorySource } from './repository-source.js';
+
+const LOCAL_OWNER = 'local';
+
+export class LocalRepositorySource extends RepositorySource {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Directory of the repository to audit
+   * @param {string} [options.boilerplate] - Directory of the boilerplate template
+   * @param {string} [options.commonConfig] - Directory of the common config repository
+   * @param {string} [options.owner] - Owner reported for the target (defaults to "local")
+   * @param {string} [options.repo] - Name reported for the target (defaults to the directory name)
+   * @param {Object} [options.config] - Base configuration (defaults to MCP_CONFIG)
+   */
+  constructor({ path, boilerplate, commonConfig, owner = LOCAL_OWNER, repo, config = MCP_CONFIG } = {}) {
+    if (!path) {
+      throw new Error('LocalRepositorySource requires a repository path');
+    }
+
+    const target = { owner, repo: repo || basename(resolve(path)) };
+
+    super({
+      ...config,
+      repositories: {
+        target,
+        boilerplate: { owner: LOCAL_OWNER, repo: 'boilerplate', path: '' },
+        commonConfig: { owner: LOCAL_OWNER, repo: 'common-config' }
+      },
+      // Nothing to throttle when reading from disk
+      rateLimiting: { ...config.rateLimiting, batchDelay: 0 }
+    });
+
+    this.roots = new Map([[`${target.owner}/${target.repo}`, resolve(path)]]);
+    if (boilerplate) {
+      this.roots.set(`${LOCAL_OWNER}/boilerplate`, resolve(boilerplate));
+    }
+    if (commonConfig) {
+      this.roots.set(`${LOCAL_OWNER}/common-config`, resolve(commonConfig));
+    }
+  }
+
+  /**
+   * Owner and repo the target directory is registered under
+   */
+  get target() {
+    return this.config.repositories.target;
+  }
+
+  /**
+   * Resolve the directory registered for owner/repo
+   */
+  resolveRoot(owner, repo) {
+    return this.roots.get(`${owner}/${repo}`) || null;
+  }
+
+  /**
+   * Report the checked out branch and commit when the directory is a git checkout
+   */
+  async resolveRef(owner, repo, ref) {
+    if (ref) {
+      throw new Error('A ref cannot be selected for a local directory; check it out instead');
+    }
+
+    const root = this.resolveRoot(owner, repo);
+    return root ? readGitHead(root) : { ref: null, sha: null };
+  }
+
+  /**
+   * List a directory in the same shape as the GitHub contents API
+   */
+  async getRepositoryStructure(owner, repo, path = '') {
+    const root = this.resolveRoot(owner, repo);
+    if (!root) return [];
+
+    try {
+      const entries = await readdir(join(root, path), { withFileTypes: true });
+      const items = [];
+
+      for (const entry of entries) {
+        if (!entry.isFile() && !entry.isDirectory()) continue;
+
+        const itemPath = path ? `${path}/${entry.name}` : entry.name;
+        items.push({
+          name: entry.name,
+          path: itemPath,
+          type: entry.isDirectory() ? 'dir' : 'file',
+          size: entry.isFile() ? (await stat(join(root, itemPath))).size : 0
+        });
+      }
+
+      return items.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        console.error(`Error reading directory ${path || '.'}: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Read a file with size validation
+   */
+  async getFileContent(owner, repo, path, options = {}) {
+    const maxFileSize = options.maxFileSize ?? this.config.chunking.maxFileSize;
+    const root = this.resolveRoot(owner, repo);
+    if (!root) return null;
+
+    try {
+      const fileStat = await stat(join(root, path));
+      if (!fileStat.isFile()) return null;
+
+      if (fileStat.size > maxFileSize) {
+        return { path, content: null, size: fileStat.size, sha: null };
+      }
+
+      const buffer = await readFile(join(root, path));
+
+      return {
+        path,
+        content: buffer.toString('utf8'),
+        size: buffer.length,
+        sha: gitBlobSha(buffer)
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'EISDIR') {
+        console.error(`Error reading file ${path}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Stream a file from disk
+   */
+  async getFileStream(owner, repo, path) {
+    const root = this.resolveRoot(owner, repo);
+    if (!root) return null;
+
+    try {
+      const fileStat = await stat(join(root, path));
+      return fileStat.isFile() ? createReadStream(join(root, path), { encoding: 'utf8' }) : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading file ${path}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+}
+
+/**
+ * Read HEAD of a git checkout without shelling out to git
+ */
+async function readGitHead(root) {
+  try {
+    let gitDir = join(root, '.git');
+    // Worktrees and submodules use a `.git` file pointing at the real directory
+    if ((await stat(gitDir)).isFile()) {
+      const pointer = (await readFile(gitDir, 'utf8')).match(/^gitdir:\s*(.+)$/m);
+      gitDir = resolve(root, pointer[1].trim());
+    }
+
+    const head = (await readFile(join(gitDir, 'HEAD'), 'utf8')).trim();
+    const symbolic = head.match(/^ref:\s*(.+)$/);
+    if (!symbolic) {
+      return { ref: head, sha: head };
+    }
+
+    const refName = symbolic[1];
+    const ref = refName.replace(/^refs\/heads\//, '');
+    try {
+      return { ref, sha: (await readFile(join(gitDir, refName), 'utf8')).trim() };
+    } catch (error) {
+      // Fall back to packed refs
+      const packedRefs = await readFile(join(gitDir, 'packed-refs'), 'utf8').catch(() => '');
+      const packed = packedRefs.split('\n').find(line => line.endsWith(` ${refName}`));
+      return { ref, sha: packed ? packed.split(' ')[0] : null };
+    }
+  } catch (error) {
+    return { ref: null, sha: null };
+  }
+}
+
+/**
+ * Compute the same SHA git (and the GitHub API) reports for a blob
+ */
+function gitBlobSha(buffer) {
+  return createHash('sha1')
+    .update(`blob ${buffer.length}\0`)
+    .update(buffer)
+    .digest('hex');
+}
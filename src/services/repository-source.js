@@ -0,0 +1,523 @@
+/**
+ * Repository Source for Frontend Auditor Agent
+ * Base class shared by every place the auditor can read a repository from
+ * (GitHub, a local checkout, ...). Subclasses only implement the two
+ * primitives `getRepositoryStructure` and `getFileContent`; everything the
+ * audit engine consumes is built on top of them here.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { minimatch } from 'minimatch';
+import { MCP_CONFIG } from '../config/mcp-config.js';
+import { LOCKFILE_NAMES, parseLockfileStream } from '../audit/lockfile-parser.js';
+
+// Memo of the running resolution scope (see inResolutionScope)
+const resolutionScopes = new AsyncLocalStorage();
+
+export class RepositorySource {
+  constructor(config = MCP_CONFIG) {
+    this.config = config;
+  }
+
+  /**
+   * List the entries of a directory as `{ name, path, type, size }` items
+   * (`options.ref` selects the branch, tag or commit to read, as for every primitive)
+   */
+  async getRepositoryStructure(owner, repo, path = '', options = {}) {
+    throw new Error(`${this.constructor.name} must implement getRepositoryStructure()`);
+  }
+
+  /**
+   * Read a single file as `{ path, content, size, sha }`, or null if unavailable.
+   * Files over the size limit (`options.maxFileSize` overrides the configured
+   * one) come back with `content: null`, so callers can stream them instead.
+   */
+  async getFileContent(owner, repo, path, options = {}) {
+    throw new Error(`${this.constructor.name} must implement getFileContent()`);
+  }
+
+  /**
+   * Every entry of a repository as `{ path, type, size, sha }` items, or null
+   * when the source cannot list a whole tree at once (directories are then
+   * listed one by one with getRepositoryStructure)
+   */
+  async getRepositoryTree(owner, repo, options = {}) {
+    return null;
+  }
+
+  /**
+   * API quota as `{ limit, remaining, used, reset, requests, retries, rejected }`,
+   * or null for sources without one
+   */
+  getRateLimit() {
+    return null;
+  }
+
+  /**
+   * Resolve the ref a repository is read at as `{ ref, sha }`.
+   * Sources without refs report nulls.
+   */
+  async resolveRef(owner, repo, ref) {
+    return { ref: ref || null, sha: null };
+  }
+
+  /**
+   * Run `task` in a resolution scope: within it each repository and ref is
+   * resolved to a commit once, so every file of an audit comes from the same
+   * commit. Nested calls join the enclosing scope; a new scope resolves refs
+   * again and sees pushes made since.
+   */
+  inResolutionScope(task) {
+    return resolutionScopes.getStore() ? task() : resolutionScopes.run(new Map(), task);
+  }
+
+  /**
+   * Value of `key` in the current resolution scope, computed on first use.
+   * Failed computations are forgotten so a later call can retry. Outside a
+   * scope nothing is remembered.
+   */
+  memoizeInScope(key, compute) {
+    const scope = resolutionScopes.getStore();
+    if (!scope) return compute();
+
+    if (!scope.has(key)) {
+      const value = compute();
+      scope.set(key, value);
+      value.catch(() => scope.delete(key));
+    }
+    return scope.get(key);
+  }
+
+  /**
+   * Get package.json files from all workspace packages
+   */
+  async getPackageJsonFiles(owner, repo, { ref, unanalyzedFiles = [] } = {}) {
+    try {
+      const paths = ['package.json'];
+
+      // package.json of every directory in apps/ and packages/
+      for (const directory of ['apps', 'packages']) {
+        const structure = await this.getRepositoryStructure(owner, repo, directory, { ref });
+        for (const item of structure) {
+          if (item.type === 'dir') {
+            paths.push(`${item.path}/package.json`);
+          }
+        }
+      }
+
+      return await this.fetchFiles(owner, repo, this.filterPaths(paths), { ref, unanalyzedFiles });
+    } catch (error) {
+      console.error('Error fetching package.json files:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get configuration files (babel, jest, webpack, etc.)
+   */
+  async getConfigFiles(owner, repo, { ref, unanalyzedFiles = [] } = {}) {
+    const configPatterns = [
+      'babel.config.*',
+      'jest.config.*',
+      'webpack.config.*',
+      'tsconfig.json',
+      'jsconfig.json',
+      'eslint.config.*',
+      'prettier.config.*',
+      'turbo.json'
+    ];
+
+    try {
+      const paths = [];
+
+      const rootStructure = await this.getRepositoryStructure(owner, repo, '', { ref });
+      for (const item of rootStructure) {
+        if (item.type === 'file' && this.matchesPattern(item.name, configPatterns)) {
+          paths.push(item.path);
+        }
+      }
+
+      // Also check config/ directory if it exists
+      const configDir = await this.getRepositoryStructure(owner, repo, 'config', { ref });
+      for (const item of configDir) {
+        if (item.type === 'file') {
+          paths.push(item.path);
+        }
+      }
+
+      return await this.fetchFiles(owner, repo, this.filterPaths(paths), { ref, unanalyzedFiles });
+    } catch (error) {
+      console.error('Error fetching config files:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get boilerplate template structure for comparison
+   */
+  async getBoilerplateTemplate() {
+    return this.inResolutionScope(async () => {
+      const { owner, repo, path } = this.config.repositories.boilerplate;
+
+      try {
+        // Get key template files
+        const keyFiles = [
+          'package.json',
+          'babel.config.json',
+          'jest.config.js',
+          'tsconfig.json',
+          'turbo.json'
+        ];
+
+        return await this.fetchFiles(owner, repo, keyFiles.map(fileName => path ? `${path}/${fileName}` : fileName));
+      } catch (error) {
+        console.error('Error fetching boilerplate template:', error.message);
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Get common config repository structure
+   */
+  async getCommonConfig() {
+    return this.inResolutionScope(async () => {
+      const { owner, repo } = this.config.repositories.commonConfig;
+
+      try {
+        const configStructure = await this.getRepositoryStructure(owner, repo);
+        const paths = configStructure
+          .filter(item => item.type === 'file' && (item.name.endsWith('.json') || item.name.endsWith('.js')))
+          .map(item => item.path);
+
+        return await this.fetchFiles(owner, repo, paths);
+      } catch (error) {
+        console.error('Error fetching common config:', error.message);
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Get files relevant to the security audit: registry settings
+   */
+  async getSecurityFiles(owner, repo, { ref, unanalyzedFiles = [] } = {}) {
+    const registryFiles = ['.npmrc', '.yarnrc', '.yarnrc.yml'];
+
+    try {
+      return await this.fetchFiles(owner, repo, this.filterPaths(registryFiles), { ref, unanalyzedFiles });
+    } catch (error) {
+      console.error('Error fetching security files:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Stream and parse the lockfiles at the repository root. Only the parsed
+   * packages are kept, so lockfiles are not bound by maxFileSize.
+   */
+  async getLockfiles(owner, repo, { ref } = {}) {
+    const lockfiles = [];
+
+    try {
+      const rootItems = await this.getRepositoryStructure(owner, repo, '', { ref });
+
+      for (const item of rootItems) {
+        if (item.type !== 'file' || !LOCKFILE_NAMES[item.name]) continue;
+
+        // Unreadable lockfiles are still listed (with an error), so they do not count as missing
+        const unreadable = error => ({ type: LOCKFILE_NAMES[item.name], path: item.path, packages: [], size: item.size, error });
+
+        if (item.size > this.config.chunking.maxLockfileSize) {
+          console.warn(`Lockfile ${item.path} exceeds max size (${item.size} bytes), skipping...`);
+          lockfiles.push(unreadable(`exceeds max size (${item.size} bytes)`));
+          continue;
+        }
+
+        const chunks = await this.getFileStream(owner, repo, item.path, { ref });
+        if (!chunks) {
+          lockfiles.push(unreadable('could not be fetched'));
+          continue;
+        }
+
+        try {
+          lockfiles.push({ ...await parseLockfileStream(item.path, chunks), size: item.size });
+        } catch (error) {
+          console.error(`Error parsing lockfile ${item.path}: ${error.message}`);
+          lockfiles.push(unreadable(error.message));
+        }
+      }
+
+      return lockfiles;
+    } catch (error) {
+      console.error('Error fetching lockfiles:', error.message);
+      return lockfiles;
+    }
+  }
+
+  /**
+   * Text chunks of a file (an async iterable), for files too large to read
+   * at once; null if the file cannot be read. Sources that can stream
+   * override this; the default reads the whole file.
+   */
+  async getFileStream(owner, repo, path, options = {}) {
+    const file = await this.getFileContent(owner, repo, path, { ...options, maxFileSize: Infinity });
+    return file ? [file.content] : null;
+  }
+
+  /**
+   * List committed .env files in the given directories (contents are never fetched)
+   */
+  async getEnvFiles(owner, repo, directories = [''], { ref } = {}) {
+    const envFiles = [];
+    const templateSuffixes = ['.example', '.sample', '.template', '.dist'];
+
+    try {
+      for (const directory of directories) {
+        const structure = await this.getRepositoryStructure(owner, repo, directory, { ref });
+        for (const item of structure) {
+          if (item.type === 'file' &&
+              /^\.env(\..+)?$/.test(item.name) &&
+              !templateSuffixes.some(suffix => item.name.endsWith(suffix))) {
+            envFiles.push({ path: item.path, size: item.size });
+          }
+        }
+      }
+
+      return envFiles;
+    } catch (error) {
+      console.error('Error listing .env files:', error.message);
+      return envFiles;
+    }
+  }
+
+  /**
+   * Get markdown documentation (root, docs/ and every workspace) plus CODEOWNERS
+   */
+  async getDocumentationFiles(owner, repo, workspaceDirs = [], { ref, unanalyzedFiles = [] } = {}) {
+    const isMarkdown = name => name.toLowerCase().endsWith('.md');
+
+    try {
+      const paths = [];
+
+      // Every markdown file at the root and in docs/
+      for (const directory of ['', 'docs']) {
+        const structure = await this.getRepositoryStructure(owner, repo, directory, { ref });
+        for (const item of structure) {
+          if (item.type === 'file' && isMarkdown(item.name)) {
+            paths.push(item.path);
+          }
+        }
+      }
+
+      // README and CHANGELOG of each workspace
+      for (const directory of workspaceDirs) {
+        const structure = await this.getRepositoryStructure(owner, repo, directory, { ref });
+        for (const item of structure) {
+          if (item.type === 'file' && /^(readme|changelog)\.md$/i.test(item.name)) {
+            paths.push(item.path);
+          }
+        }
+      }
+
+      paths.push(...this.config.documentation.codeownersPaths);
+
+      return await this.fetchFiles(owner, repo, this.filterPaths(paths), { ref, unanalyzedFiles });
+    } catch (error) {
+      console.error('Error fetching documentation files:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Fetch files in batches of `chunking.maxFilesPerBatch` concurrent
+   * requests, pausing `rateLimiting.batchDelay` between batches. Files that
+   * do not exist are left out; files that exist but cannot be analyzed are
+   * added to `unanalyzedFiles` as `{ path, size, reason }`. Order is kept.
+   */
+  async fetchFiles(owner, repo, paths, { ref, unanalyzedFiles = [] } = {}) {
+    const batchSize = this.config.chunking.maxFilesPerBatch;
+    const files = [];
+
+    for (let start = 0; start < paths.length; start += batchSize) {
+      if (start > 0) {
+        await this.delay(this.config.rateLimiting.batchDelay);
+      }
+
+      const batch = await Promise.all(
+        paths.slice(start, start + batchSize).map(path => this.fetchFile(owner, repo, path, { ref, unanalyzedFiles }))
+      );
+      files.push(...batch.filter(Boolean));
+    }
+
+    return files;
+  }
+
+  /**
+   * Fetch one file. Files over `chunking.maxFileSize` are streamed in
+   * chunks, up to `chunking.maxLargeFileSize`.
+   */
+  async fetchFile(owner, repo, path, { ref, unanalyzedFiles }) {
+    const file = await this.getFileContent(owner, repo, path, { ref });
+    if (!file || file.content !== null) return file;
+
+    const { maxLargeFileSize } = this.config.chunking;
+    const skip = reason => {
+      console.warn(`File ${path} not analyzed: ${reason}`);
+      unanalyzedFiles.push({ path, size: file.size, reason });
+      return null;
+    };
+
+    if (file.size > maxLargeFileSize) {
+      return skip(`exceeds maxLargeFileSize (${maxLargeFileSize} bytes)`);
+    }
+
+    const stream = await this.getFileStream(owner, repo, path, { ref });
+    if (!stream) {
+      return skip('could not be fetched');
+    }
+
+    let content = '';
+    for await (const chunk of stream) {
+      content += chunk;
+      if (content.length > maxLargeFileSize) {
+        return skip(`exceeds maxLargeFileSize (${maxLargeFileSize} bytes)`);
+      }
+    }
+    if (content.includes('\0')) {
+      return skip('binary file');
+    }
+
+    return { ...file, content, large: true };
+  }
+
+  /**
+   * Paths of the audited repository matching `chunking.includePatterns`
+   * and none of `chunking.excludePatterns`
+   */
+  filterPaths(paths) {
+    const { includePatterns = [], excludePatterns = [] } = this.config.chunking;
+
+    return paths.filter(path =>
+      (includePatterns.length === 0 || this.matchesPattern(path, includePatterns)) &&
+      !this.matchesPattern(path, excludePatterns)
+    );
+  }
+
+  /**
+   * Rate limiting helper
+   */
+  async delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Check if a path matches any glob pattern; patterns without a slash
+   * match the file name in any directory
+   */
+  matchesPattern(path, patterns) {
+    return patterns.some(pattern => minimatch(path, pattern, { matchBase: true, dot: true }));
+  }
+
+  /**
+   * Get chunked repository data to avoid context window limits
+   *
+   * @param {Object} [options]
+   * @param {string} [options.ref] - Branch, tag or commit SHA to audit
+   */
+  async getRepositoryDataChunked(owner, repo, options = {}) {
+    return this.inResolutionScope(async () => {
+      console.log(`Fetching chunked data for ${owner}/${repo}...`);
+
+      const repositoryData = {
+        packageFiles: [],
+        configFiles: [],
+        securityFiles: [],
+        lockfiles: [],
+        envFiles: [],
+        documentationFiles: [],
+        // Files that exist but could not be analyzed (too large, binary)
+        unanalyzedFiles: [],
+        // Every entry at the audited commit, or null when the source lists directories one by one
+        tree: null,
+        metadata: {
+          owner,
+          repo,
+          ref: null,
+          sha: null,
+          fetchedAt: new Date().toISOString(),
+          totalFiles: 0
+        }
+      };
+
+      const rejectedBefore = this.getRateLimit()?.rejected ?? 0;
+
+      try {
+        // Pin the audit to one commit so every file comes from the same tree
+        const { ref, sha } = await this.resolveRef(owner, repo, options.ref);
+        repositoryData.metadata.ref = ref;
+        repositoryData.metadata.sha = sha;
+        if (sha) {
+          console.log(`Auditing ${ref} at ${sha}`);
+        }
+
+        // Every read asks for the same ref, which the scope resolves to that commit
+        const fetchOptions = { ref: options.ref, unanalyzedFiles: repositoryData.unanalyzedFiles };
+        repositoryData.tree = await this.getRepositoryTree(owner, repo, fetchOptions);
+
+        // Get package.json files
+        console.log('Fetching package.json files...');
+        repositoryData.packageFiles = await this.getPackageJsonFiles(owner, repo, fetchOptions);
+        await this.delay(this.config.rateLimiting.batchDelay);
+
+        // Get configuration files
+        console.log('Fetching configuration files...');
+        repositoryData.configFiles = await this.getConfigFiles(owner, repo, fetchOptions);
+        await this.delay(this.config.rateLimiting.batchDelay);
+
+        const workspaceDirs = repositoryData.packageFiles
+          .filter(file => file.path !== 'package.json')
+          .map(file => file.path.replace(/\/package\.json$/, ''));
+
+        // Get registry settings and committed .env files
+        console.log('Fetching security-related files...');
+        repositoryData.securityFiles = await this.getSecurityFiles(owner, repo, fetchOptions);
+        repositoryData.envFiles = await this.getEnvFiles(owner, repo, ['', ...workspaceDirs], fetchOptions);
+        await this.delay(this.config.rateLimiting.batchDelay);
+
+        // Stream and parse lockfiles
+        console.log('Fetching lockfiles...');
+        repositoryData.lockfiles = await this.getLockfiles(owner, repo, fetchOptions);
+        await this.delay(this.config.rateLimiting.batchDelay);
+
+        // Get READMEs, changelogs and CODEOWNERS
+        console.log('Fetching documentation files...');
+        repositoryData.documentationFiles = await this.getDocumentationFiles(owner, repo, workspaceDirs, fetchOptions);
+        await this.delay(this.config.rateLimiting.batchDelay);
+
+        repositoryData.metadata.totalFiles =
+          repositoryData.packageFiles.length +
+          repositoryData.configFiles.length +
+          repositoryData.securityFiles.length +
+          repositoryData.lockfiles.length +
+          repositoryData.documentationFiles.length;
+
+        const rateLimit = this.getRateLimit();
+        if (rateLimit) {
+          repositoryData.metadata.rateLimit = rateLimit;
+          // Files refused by the API would show up as missing files in the audit
+          if (rateLimit.rejected > rejectedBefore) {
+            throw new Error(`API rate limit exhausted while fetching ${owner}/${repo} (resets at ${rateLimit.reset}); the fetched data is incomplete`);
+          }
+        }
+
+        console.log(`Fetched ${repositoryData.metadata.totalFiles} files successfully`);
+        return repositoryData;
+
+      } catch (error) {
+        console.error('Error in chunked data fetching:', error.message);
+        throw error;
+      }
+    });
+  }
+}